@@ -0,0 +1,128 @@
+// lib/acks.js
+const NotificationAck = require("../models/NotificationAck");
+const NotificationLog = require("../models/NotificationLog");
+
+const ACK_STATUSES = ["delivered", "opened", "accepted", "dismissed"];
+
+// Returns the ack, or null when the notification doesn't exist for this
+// company / wasn't sent to this user.
+async function recordAck({ companyId, notificationId, userId, status, token }) {
+  const log = await NotificationLog.findOne({
+    _id: notificationId,
+    companyId: String(companyId),
+  }).lean();
+  if (!log) return null;
+  if (log.userIds.length && !log.userIds.includes(String(userId))) return null;
+
+  try {
+    return await NotificationAck.findOneAndUpdate(
+      { notificationId, userId: String(userId), status },
+      {
+        $setOnInsert: {
+          companyId: String(companyId),
+          leadId: log.leadId,
+          type: log.type,
+          token: token ? String(token) : "",
+          at: new Date(),
+        },
+      },
+      { upsert: true, returnDocument: "after" }
+    ).lean();
+  } catch (error) {
+    // Two devices reported the same status at once
+    if (error.code === 11000) {
+      return NotificationAck.findOne({ notificationId, userId: String(userId), status }).lean();
+    }
+    throw error;
+  }
+}
+
+function emptyEntry(key) {
+  return { ...key, notified: 0, lastNotifiedAt: null, delivered: null, opened: null, accepted: null, dismissed: null };
+}
+
+// Fold acks into entries keyed by `keyOf(ack)`; `status` is the furthest
+// step reached (accepted / dismissed beat opened beat delivered).
+function summarize(logs, acks, keyOf, recipientKeys) {
+  const entries = new Map();
+  const entryFor = (key) => {
+    const id = JSON.stringify(key);
+    if (!entries.has(id)) entries.set(id, emptyEntry(key));
+    return entries.get(id);
+  };
+
+  logs.forEach((log) => {
+    recipientKeys(log).forEach((key) => {
+      const entry = entryFor(key);
+      entry.notified += 1;
+      if (!entry.lastNotifiedAt || log.sentAt > entry.lastNotifiedAt) entry.lastNotifiedAt = log.sentAt;
+    });
+  });
+
+  acks.forEach((ack) => {
+    const entry = entryFor(keyOf(ack));
+    if (!entry[ack.status] || ack.at < entry[ack.status]) entry[ack.status] = ack.at;
+  });
+
+  return Array.from(entries.values()).map((entry) => ({
+    ...entry,
+    status: entry.accepted ? "accepted"
+      : entry.dismissed ? "dismissed"
+      : entry.opened ? "opened"
+      : entry.delivered ? "delivered"
+      : "sent",
+  }));
+}
+
+// Per employee: who was notified about this lead and how far they got
+async function ackStatusForLead(companyId, leadId) {
+  const query = { companyId: String(companyId), leadId: String(leadId) };
+  const [logs, acks] = await Promise.all([
+    NotificationLog.find({ ...query, successCount: { $gt: 0 } }).select("userIds results sentAt").lean(),
+    NotificationAck.find(query).lean(),
+  ]);
+
+  return summarize(
+    logs,
+    acks,
+    (ack) => ({ userId: ack.userId }),
+    // Users with at least one device FCM accepted the push for
+    (log) => {
+      const delivered = (log.results || []).filter((r) => r.success);
+      const users = delivered.some((r) => r.userId) ? delivered.map((r) => r.userId) : log.userIds;
+      return Array.from(new Set(users.filter(Boolean))).map((userId) => ({ userId }));
+    }
+  );
+}
+
+// Per lead: which of this employee's notifications were acted on
+async function ackStatusForUser(companyId, userId, { from, to } = {}) {
+  const sentAt = {};
+  if (from) sentAt.$gte = new Date(from);
+  if (to) sentAt.$lte = new Date(to);
+
+  const logQuery = { companyId: String(companyId), userIds: String(userId), leadId: { $ne: "" }, successCount: { $gt: 0 } };
+  if (from || to) logQuery.sentAt = sentAt;
+
+  const ackQuery = { companyId: String(companyId), userId: String(userId), leadId: { $ne: "" } };
+  if (from || to) ackQuery.at = sentAt;
+
+  const [logs, acks] = await Promise.all([
+    NotificationLog.find(logQuery).select("leadId sentAt").sort({ sentAt: -1 }).limit(1000).lean(),
+    NotificationAck.find(ackQuery).lean(),
+  ]);
+
+  return summarize(
+    logs,
+    acks,
+    (ack) => ({ leadId: ack.leadId }),
+    (log) => [{ leadId: log.leadId }]
+  );
+}
+
+module.exports = {
+  ACK_STATUSES,
+  recordAck,
+  ackStatusForLead,
+  ackStatusForUser,
+};
@@ -0,0 +1,254 @@
+// lib/auth.js
+// Two kinds of callers:
+//  - servers, with a per-company API key in `x-api-key`
+//  - app users, with the signed token our app issues in `Authorization: Bearer`
+// MASTER_API_KEY (optional) is for operators and may act on any company.
+const crypto = require("crypto");
+const ApiKey = require("../models/ApiKey");
+const Token = require("../models/Token");
+
+const JWT_SECRET = process.env.APP_JWT_SECRET;
+const JWT_PUBLIC_KEY = process.env.APP_JWT_PUBLIC_KEY;
+const JWT_ISSUER = process.env.APP_JWT_ISSUER;
+const JWT_AUDIENCE = process.env.APP_JWT_AUDIENCE;
+const MASTER_API_KEY = process.env.MASTER_API_KEY;
+const ROTATION_GRACE = 24 * 60 * 60 * 1000; // old key keeps working for a day
+
+function hashKey(rawKey) {
+  return crypto.createHash("sha256").update(String(rawKey)).digest("hex");
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+// -------------------- API keys --------------------
+async function createApiKey(companyId, label = "") {
+  const rawKey = `cat_${crypto.randomBytes(24).toString("hex")}`;
+  const doc = await ApiKey.create({
+    companyId: String(companyId),
+    keyHash: hashKey(rawKey),
+    prefix: rawKey.slice(0, 12),
+    label: String(label || ""),
+  });
+  // The raw key is only ever returned here
+  return { key: rawKey, apiKey: publicKeyFields(doc) };
+}
+
+function publicKeyFields(doc) {
+  return {
+    id: doc._id,
+    companyId: doc.companyId,
+    prefix: doc.prefix,
+    label: doc.label,
+    revokedAt: doc.revokedAt,
+    expiresAt: doc.expiresAt,
+    lastUsedAt: doc.lastUsedAt,
+    createdAt: doc.createdAt,
+  };
+}
+
+async function listApiKeys(companyId) {
+  const docs = await ApiKey.find({ companyId: String(companyId) }).sort({ createdAt: -1 }).lean();
+  return docs.map(publicKeyFields);
+}
+
+// Issue a replacement; the old key expires after a grace period
+async function rotateApiKey(companyId, keyId, graceMs = ROTATION_GRACE) {
+  const old = await ApiKey.findOne({ _id: keyId, companyId: String(companyId), revokedAt: null });
+  if (!old) return null;
+
+  const created = await createApiKey(companyId, old.label);
+  old.expiresAt = new Date(Date.now() + Math.max(graceMs, 0));
+  await old.save();
+  return created;
+}
+
+async function revokeApiKey(companyId, keyId) {
+  const doc = await ApiKey.findOneAndUpdate(
+    { _id: keyId, companyId: String(companyId), revokedAt: null },
+    { $set: { revokedAt: new Date() } },
+    { returnDocument: "after" }
+  ).lean();
+  return doc ? publicKeyFields(doc) : null;
+}
+
+async function verifyApiKey(rawKey) {
+  const doc = await ApiKey.findOne({ keyHash: hashKey(rawKey), revokedAt: null }).lean();
+  if (!doc) return null;
+  if (doc.expiresAt && doc.expiresAt < new Date()) return null;
+
+  ApiKey.updateOne({ _id: doc._id }, { $set: { lastUsedAt: new Date() } }).catch(() => {});
+  return doc;
+}
+
+// -------------------- User tokens (JWT) --------------------
+function base64UrlDecode(part) {
+  return Buffer.from(part.replace(/-/g, "+").replace(/_/g, "/"), "base64");
+}
+
+// Verifies HS256 (APP_JWT_SECRET) or RS256 (APP_JWT_PUBLIC_KEY) tokens and
+// returns the claims, or null. APP_JWT_ISSUER / APP_JWT_AUDIENCE, when set,
+// must match the token's iss / aud.
+function verifyUserToken(jwt) {
+  const parts = String(jwt || "").split(".");
+  if (parts.length !== 3) return null;
+
+  let header;
+  let claims;
+  try {
+    header = JSON.parse(base64UrlDecode(parts[0]).toString("utf8"));
+    claims = JSON.parse(base64UrlDecode(parts[1]).toString("utf8"));
+  } catch (err) {
+    return null;
+  }
+
+  const signingInput = `${parts[0]}.${parts[1]}`;
+  const signature = base64UrlDecode(parts[2]);
+
+  let valid = false;
+  if (header.alg === "HS256" && JWT_SECRET) {
+    const expected = crypto.createHmac("sha256", JWT_SECRET).update(signingInput).digest();
+    valid = expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+  } else if (header.alg === "RS256" && JWT_PUBLIC_KEY) {
+    valid = crypto.verify("RSA-SHA256", Buffer.from(signingInput), JWT_PUBLIC_KEY, signature);
+  }
+  if (!valid) return null;
+
+  // Tokens without an expiry would be valid forever
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof claims.exp !== "number" || now >= claims.exp) return null;
+  if (claims.nbf && now < claims.nbf) return null;
+  if (JWT_ISSUER && claims.iss !== JWT_ISSUER) return null;
+  if (JWT_AUDIENCE && ![].concat(claims.aud ?? []).includes(JWT_AUDIENCE)) return null;
+
+  return claims;
+}
+
+// -------------------- Middleware --------------------
+function unauthorized(res, message = "Authentication required") {
+  return res.status(401).json({ success: false, message });
+}
+
+function forbidden(res, message = "Forbidden") {
+  return res.status(403).json({ success: false, message });
+}
+
+// Sets req.auth = { type: "master" | "apiKey" | "user", companyId, userId, role };
+// users also get the team / roleExperience their token was issued with
+async function authenticate(req, res, next) {
+  try {
+    const apiKey = req.get("x-api-key");
+    if (apiKey) {
+      if (MASTER_API_KEY && safeEqual(apiKey, MASTER_API_KEY)) {
+        req.auth = { type: "master", companyId: null, userId: null };
+        return next();
+      }
+
+      const doc = await verifyApiKey(apiKey);
+      if (!doc) return unauthorized(res, "Invalid API key");
+
+      req.auth = { type: "apiKey", companyId: doc.companyId, userId: null, keyId: doc._id };
+      return next();
+    }
+
+    const header = req.get("authorization") || "";
+    if (header.startsWith("Bearer ")) {
+      const claims = verifyUserToken(header.slice(7).trim());
+      const companyId = claims && (claims.companyId || claims.tenantId);
+      const userId = claims && (claims.userId || claims.email || claims.sub);
+      if (!companyId || !userId) return unauthorized(res, "Invalid user token");
+
+      req.auth = {
+        type: "user",
+        companyId: String(companyId),
+        userId: String(userId),
+        role: claims.role ? String(claims.role) : "",
+        team: claims.team ? String(claims.team) : "",
+        roleExperience: claims.roleExperience !== undefined ? String(claims.roleExperience) : "",
+      };
+      return next();
+    }
+
+    return unauthorized(res);
+  } catch (error) {
+    console.error("Auth error:", error.message);
+    return res.status(500).json({ success: false, message: "Internal server error" });
+  }
+}
+
+// Pins the request to the caller's company. Any companyId in params, query
+// or body must match; the resolved id is exposed as req.companyId.
+function requireCompany(req, res, next) {
+  const requested = [req.params?.companyId, req.query?.companyId, req.body?.companyId]
+    .filter((v) => v !== undefined && v !== null && v !== "")
+    .map(String);
+
+  if (req.auth.type === "master") {
+    if (!requested.length) {
+      return res.status(400).json({ success: false, message: "Missing companyId" });
+    }
+    if (requested.some((id) => id !== requested[0])) {
+      return forbidden(res, "Conflicting companyId");
+    }
+    req.companyId = requested[0];
+    return next();
+  }
+
+  if (requested.some((id) => id !== req.auth.companyId)) {
+    return forbidden(res, "Access to this company is not allowed");
+  }
+
+  req.companyId = req.auth.companyId;
+  return next();
+}
+
+// Servers (API key / master) are trusted for their company; users need the
+// ADMIN role on one of their registered tokens.
+async function isCompanyAdmin(req) {
+  if (req.auth.type !== "user") return true;
+
+  const isAdmin = await Token.exists({
+    userId: req.auth.userId,
+    companyId: req.auth.companyId,
+    role: "ADMIN",
+    enabled: true, // logged out / pruned devices grant nothing
+  });
+  return !!isAdmin;
+}
+
+async function requireAdmin(req, res, next) {
+  try {
+    if (!(await isCompanyAdmin(req))) return forbidden(res, "Admin role required");
+
+    return next();
+  } catch (error) {
+    console.error("Admin check error:", error.message);
+    return res.status(500).json({ success: false, message: "Internal server error" });
+  }
+}
+
+// Client routes: a user may only act on their own userId
+function isSelf(req, userId) {
+  if (req.auth.type !== "user") return true;
+  return !userId || String(userId) === req.auth.userId;
+}
+
+if (!JWT_SECRET && !JWT_PUBLIC_KEY) {
+  console.warn("⚠ APP_JWT_SECRET / APP_JWT_PUBLIC_KEY not set: user tokens will be rejected");
+}
+
+module.exports = {
+  authenticate,
+  requireCompany,
+  requireAdmin,
+  isCompanyAdmin,
+  isSelf,
+  createApiKey,
+  listApiKeys,
+  rotateApiKey,
+  revokeApiKey,
+  verifyUserToken,
+};
@@ -0,0 +1,238 @@
+// lib/autoAssign.js
+// Optional per-company auto-assignment of new leads (settings.autoAssign).
+// The AUTO_ASSIGN job (see server.js) picks an assignee with one of:
+//   round-robin   the next user in the pool after the last one assigned
+//   least-open    the user with the fewest open auto-assigned leads
+//   source-team   round-robin within the team sourceTeams maps the lead's
+//                 source to; the whole pool when the source is unmapped or
+//                 nobody in the team is eligible
+// Candidates are users with an enabled token and one of autoAssign.roles.
+// Users who muted LEAD_ASSIGNED or are in quiet hours are skipped. Every
+// decision is stored (LeadAssignment) for the history endpoint.
+const LeadAssignment = require("../models/LeadAssignment");
+const AssignmentRotation = require("../models/AssignmentRotation");
+const Token = require("../models/Token");
+const { decide, loadPreferences } = require("./preferences");
+
+const STRATEGIES = ["round-robin", "least-open", "source-team"];
+const ROTATION_ATTEMPTS = 5;
+const HOUR = 60 * 60 * 1000;
+
+const normalize = (value) => String(value ?? "").trim().toLowerCase();
+
+// userId -> team, for users with an enabled token in one of the roles
+async function loadCandidates(companyId, roles = []) {
+  const wanted = roles.map(normalize);
+  const tokens = await Token.find({ companyId: String(companyId), enabled: true })
+    .select("userId role team")
+    .lean();
+
+  const candidates = new Map();
+  tokens.forEach((token) => {
+    if (wanted.length && !wanted.includes(normalize(token.role))) return;
+    if (!candidates.has(token.userId) || token.team) candidates.set(token.userId, token.team || "");
+  });
+  return candidates;
+}
+
+// Splits users by whether an assignment push would reach them now
+async function checkEligibility(companyId, userIds, lead) {
+  const prefsByUser = await loadPreferences(companyId, userIds);
+  const eligible = [];
+  const skipped = [];
+
+  userIds.forEach((userId) => {
+    const decision = decide(prefsByUser.get(userId), "LEAD_ASSIGNED", lead);
+    if (decision === "send") eligible.push(userId);
+    else skipped.push({ userId, reason: decision === "mute" ? "muted" : "quiet-hours" });
+  });
+  return { eligible, skipped };
+}
+
+// Moves the pool's rotation to the next eligible user (sorted by id) and
+// returns them. The version check makes concurrent leads take turns.
+async function nextInRotation(companyId, pool, eligible) {
+  for (let attempt = 0; attempt < ROTATION_ATTEMPTS; attempt++) {
+    const state = await AssignmentRotation.findOne({ companyId: String(companyId), pool }).lean();
+    const after = state?.lastUserId || "";
+    const next = eligible.find((userId) => userId > after) || eligible[0];
+    const now = new Date();
+
+    try {
+      if (!state) {
+        await AssignmentRotation.create({
+          companyId: String(companyId),
+          pool,
+          lastUserId: next,
+          lastAssignedAt: now,
+          assignments: 1,
+          version: 1,
+        });
+        return next;
+      }
+
+      const moved = await AssignmentRotation.findOneAndUpdate(
+        { _id: state._id, version: state.version },
+        { $set: { lastUserId: next, lastAssignedAt: now }, $inc: { assignments: 1, version: 1 } }
+      );
+      if (moved) return next;
+    } catch (error) {
+      // Another lead created the pool's rotation first
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  throw new Error(`Rotation ${pool} busy, retry`);
+}
+
+// Open auto-assigned leads per user within the last `openLeadHours`
+async function openCounts(companyId, userIds, openLeadHours) {
+  const rows = await LeadAssignment.aggregate([
+    {
+      $match: {
+        companyId: String(companyId),
+        status: "open",
+        assignee: { $in: userIds },
+        createdAt: { $gte: new Date(Date.now() - openLeadHours * HOUR) },
+      },
+    },
+    { $group: { _id: "$assignee", open: { $sum: 1 }, lastAssignedAt: { $max: "$createdAt" } } },
+  ]);
+  return new Map(rows.map((row) => [row._id, row]));
+}
+
+// Fewest open leads; ties go to whoever was assigned longest ago
+async function leastOpen(companyId, eligible, openLeadHours) {
+  const counts = await openCounts(companyId, eligible, openLeadHours);
+  const score = (userId) => counts.get(userId) || { open: 0, lastAssignedAt: new Date(0) };
+
+  return eligible.slice().sort((a, b) => (
+    score(a).open - score(b).open
+    || score(a).lastAssignedAt - score(b).lastAssignedAt
+    || (a < b ? -1 : 1)
+  ))[0];
+}
+
+// Decides who gets the lead and stores the decision. A lead that already
+// has one gets it back unchanged ({ created: false }).
+// Returns { decision, created }.
+async function assignLead(companyId, lead, config) {
+  const leadId = lead.leadId ? String(lead.leadId) : "";
+  if (leadId) {
+    const existing = await LeadAssignment.findOne({ companyId: String(companyId), leadId }).lean();
+    if (existing) return { decision: existing, created: false };
+  }
+
+  const candidates = await loadCandidates(companyId, config.roles);
+  const userIds = Array.from(candidates.keys()).sort();
+  const { eligible, skipped } = await checkEligibility(companyId, userIds, lead);
+
+  const strategy = STRATEGIES.includes(config.strategy) ? config.strategy : "round-robin";
+  let pool = "all";
+  let pick = eligible;
+  let team = "";
+  let fallback = false;
+
+  if (strategy === "source-team") {
+    const sourceTeams = Object.fromEntries(
+      Object.entries(config.sourceTeams || {}).map(([source, mapped]) => [normalize(source), mapped])
+    );
+    team = String(sourceTeams[normalize(lead.source)] || "");
+    const inTeam = team ? eligible.filter((userId) => normalize(candidates.get(userId)) === normalize(team)) : [];
+    if (inTeam.length) {
+      pool = `team:${normalize(team)}`;
+      pick = inTeam;
+    } else {
+      fallback = true;
+    }
+  }
+
+  let assignee = "";
+  if (pick.length) {
+    assignee = strategy === "least-open"
+      ? await leastOpen(companyId, pick, config.openLeadHours)
+      : await nextInRotation(companyId, pool, pick);
+  }
+
+  try {
+    const decision = await LeadAssignment.create({
+      companyId: String(companyId),
+      leadId,
+      source: String(lead.source || ""),
+      strategy,
+      team,
+      fallback,
+      assignee,
+      candidates: userIds.length,
+      skipped,
+      status: assignee ? "open" : "unassigned",
+    });
+    return { decision: decision.toObject(), created: true };
+  } catch (error) {
+    // The same lead was assigned concurrently; keep the first decision
+    if (error.code === 11000) {
+      const existing = await LeadAssignment.findOne({ companyId: String(companyId), leadId }).lean();
+      return { decision: existing, created: false };
+    }
+    throw error;
+  }
+}
+
+async function markNotified(decisionId) {
+  await LeadAssignment.updateOne({ _id: decisionId }, { $set: { notifiedAt: new Date() } });
+}
+
+// Contacted or reassigned leads stop counting as open
+async function closeAssignments(companyId, leadId, reason, { exceptAssignee } = {}) {
+  const query = { companyId: String(companyId), leadId: String(leadId), status: "open" };
+  if (exceptAssignee) query.assignee = { $ne: String(exceptAssignee) };
+
+  const result = await LeadAssignment.updateMany(query, {
+    $set: { status: "closed", closedAt: new Date(), closeReason: reason },
+  });
+  return result.modifiedCount;
+}
+
+// Rotation positions and each candidate's open-lead count
+async function rotationState(companyId, config) {
+  const [rotations, candidates] = await Promise.all([
+    AssignmentRotation.find({ companyId: String(companyId) }).sort({ pool: 1 }).lean(),
+    loadCandidates(companyId, config.roles),
+  ]);
+  const userIds = Array.from(candidates.keys()).sort();
+  const counts = await openCounts(companyId, userIds, config.openLeadHours);
+
+  return {
+    rotations: rotations.map(({ pool, lastUserId, lastAssignedAt, assignments }) => (
+      { pool, lastUserId, lastAssignedAt, assignments }
+    )),
+    users: userIds.map((userId) => ({
+      userId,
+      team: candidates.get(userId),
+      openLeads: counts.get(userId)?.open || 0,
+      lastAssignedAt: counts.get(userId)?.lastAssignedAt || null,
+    })),
+  };
+}
+
+async function listAssignments(companyId, { leadId, assignee, status, before, limit = 50 } = {}) {
+  const query = { companyId: String(companyId) };
+  if (leadId) query.leadId = String(leadId);
+  if (assignee) query.assignee = String(assignee);
+  if (status) query.status = String(status);
+  if (before) query.createdAt = { $lt: before };
+
+  return LeadAssignment.find(query)
+    .sort({ createdAt: -1 })
+    .limit(Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200))
+    .lean();
+}
+
+module.exports = {
+  STRATEGIES,
+  assignLead,
+  markNotified,
+  closeAssignments,
+  rotationState,
+  listAssignments,
+};
@@ -0,0 +1,123 @@
+// lib/branding.js
+// What a company's pushes look like: icon, web badge, Android channel,
+// sound and vibrate pattern per notification type, and the domain web
+// notifications open on click (settings.branding). Anything not set falls
+// back to the Catination defaults below.
+const DEFAULT_ICON = "https://app.catination.com/catination-app-logo.png";
+
+const TYPE_DEFAULTS = {
+  NEW_LEAD: { channelId: "catination_leads", vibrate: [200, 100, 200] },
+  LEAD_DIGEST: { channelId: "catination_leads", vibrate: [200, 100, 200] },
+  LEAD_ASSIGNED: { channelId: "catination_assignments", vibrate: [200, 100, 200, 100, 200] },
+  LEAD_ESCALATED: { channelId: "catination_assignments", vibrate: [200, 100, 200, 100, 200] },
+  LEAD_ASSIGN_REMINDER: { channelId: "catination_reminders", vibrate: [150, 80, 150] },
+  FOLLOW_UP: { channelId: "catination_followups", vibrate: [200, 100, 200] },
+  BROADCAST: { channelId: "catination_announcements", vibrate: [] },
+};
+
+const MAX_VIBRATE_STEPS = 20;
+const LOCAL_HOSTS = ["localhost", "127.0.0.1", "[::1]"];
+
+function validationError(message) {
+  const error = new Error(message);
+  error.name = "ValidationError";
+  return error;
+}
+
+// Effective look of one notification type for a company's settings
+function resolveBranding(settings, type) {
+  const branding = settings?.branding || {};
+  const overrides = branding.types?.[type] || {};
+  const defaults = TYPE_DEFAULTS[type] || TYPE_DEFAULTS.NEW_LEAD;
+  const iconUrl = branding.iconUrl || DEFAULT_ICON;
+
+  return {
+    iconUrl,
+    badgeUrl: branding.badgeUrl || iconUrl,
+    channelId: overrides.channelId || defaults.channelId,
+    sound: overrides.sound || "default",
+    vibrate: Array.isArray(overrides.vibrate) && overrides.vibrate.length ? overrides.vibrate : defaults.vibrate,
+    clickDomain: branding.clickDomain || "",
+  };
+}
+
+// webpush fields that open `path` on the company's click-through domain;
+// nothing (the client decides) when no domain is set
+function clickThrough(brand, path) {
+  if (!brand.clickDomain) return {};
+  return { fcmOptions: { link: new URL(path, brand.clickDomain).toString() } };
+}
+
+function httpsUrl(value, field) {
+  let url;
+  try {
+    url = new URL(String(value));
+  } catch (error) {
+    throw validationError(`${field} must be an absolute URL`);
+  }
+  if (url.protocol !== "https:") throw validationError(`${field} must use https`);
+  return url;
+}
+
+// Checks a branding update before it is saved; FCM rejects http icons and
+// click links, so those are refused here. Returns the value to store.
+function validateBranding(branding) {
+  if (!branding || typeof branding !== "object" || Array.isArray(branding)) {
+    throw validationError("branding must be an object");
+  }
+
+  const result = { ...branding };
+  ["iconUrl", "badgeUrl"].forEach((field) => {
+    if (result[field]) result[field] = httpsUrl(result[field], `branding.${field}`).toString();
+  });
+  if (result.clickDomain) result.clickDomain = httpsUrl(result.clickDomain, "branding.clickDomain").origin;
+
+  if (result.types !== undefined) {
+    if (!result.types || typeof result.types !== "object" || Array.isArray(result.types)) {
+      throw validationError("branding.types must be an object keyed by notification type");
+    }
+    Object.entries(result.types).forEach(([type, look]) => {
+      if (!TYPE_DEFAULTS[type]) throw validationError(`branding.types: unknown type ${type}`);
+      const vibrate = look?.vibrate;
+      if (vibrate !== undefined && (
+        !Array.isArray(vibrate)
+        || vibrate.length > MAX_VIBRATE_STEPS
+        || !vibrate.every((ms) => Number.isInteger(ms) && ms >= 0 && ms <= 10000)
+      )) {
+        throw validationError(`branding.types.${type}.vibrate must be up to ${MAX_VIBRATE_STEPS} durations in ms`);
+      }
+    });
+  }
+  return result;
+}
+
+// "https://Example.com/" -> "https://example.com"; throws on anything that
+// isn't a bare https origin (http only for localhost, for development)
+function normalizeOrigins(origins) {
+  if (!Array.isArray(origins)) throw validationError("allowedOrigins must be an array");
+
+  return Array.from(new Set(origins.map((value) => {
+    let url;
+    try {
+      url = new URL(String(value));
+    } catch (error) {
+      throw validationError(`allowedOrigins: ${value} is not a URL`);
+    }
+    if (!["https:", "http:"].includes(url.protocol) || url.pathname !== "/" || url.search || url.hash) {
+      throw validationError(`allowedOrigins: ${value} must be an origin like https://crm.example.com`);
+    }
+    if (url.protocol === "http:" && !LOCAL_HOSTS.includes(url.hostname)) {
+      throw validationError(`allowedOrigins: ${value} must use https`);
+    }
+    return url.origin;
+  })));
+}
+
+module.exports = {
+  DEFAULT_ICON,
+  TYPE_DEFAULTS,
+  resolveBranding,
+  clickThrough,
+  validateBranding,
+  normalizeOrigins,
+};
@@ -0,0 +1,165 @@
+// lib/broadcasts.js
+// Admin announcements (target reminders, holiday notices, ...) with a custom
+// title, body and deep link, sent now or at a scheduled time. Each broadcast
+// is one BROADCAST job on the queue (see server.js); the audience is
+// resolved against the company's enabled tokens when it is sent.
+const Broadcast = require("../models/Broadcast");
+const Token = require("../models/Token");
+const jobQueue = require("./jobQueue");
+const { tokenMatchesSelector } = require("./routing");
+
+const MAX_ROLES = 50;
+const MAX_USER_IDS = 5000;
+const LINK_PROTOCOLS = ["https:", "http:", "catination:"];
+
+function validationError(message) {
+  const error = new Error(message);
+  error.name = "ValidationError";
+  return error;
+}
+
+const strings = (value) => [].concat(value || []).map((item) => String(item).trim()).filter(Boolean);
+
+// Request body -> stored audience; throws a ValidationError when it is empty
+// or too large
+function normalizeAudience(audience = {}) {
+  const normalized = {
+    all: audience.all === true,
+    roles: Array.from(new Set(strings(audience.roles))),
+    roleExperience: audience.roleExperience === undefined || audience.roleExperience === null
+      ? ""
+      : String(audience.roleExperience).trim(),
+    userIds: Array.from(new Set(strings(audience.userIds))),
+  };
+
+  if (normalized.roles.length > MAX_ROLES) throw validationError(`audience.roles allows at most ${MAX_ROLES} roles`);
+  if (normalized.userIds.length > MAX_USER_IDS) {
+    throw validationError(`audience.userIds allows at most ${MAX_USER_IDS} users`);
+  }
+  if (normalized.roleExperience && !normalized.roles.length) {
+    throw validationError("audience.roleExperience needs audience.roles");
+  }
+  if (!normalized.all && !normalized.roles.length && !normalized.userIds.length) {
+    throw validationError("Empty audience: pass all, roles or userIds");
+  }
+  return normalized;
+}
+
+function validateLink(link) {
+  if (!link) return "";
+  let url;
+  try {
+    url = new URL(String(link));
+  } catch (error) {
+    throw validationError("link must be an absolute URL");
+  }
+  if (!LINK_PROTOCOLS.includes(url.protocol)) {
+    throw validationError(`link must use ${LINK_PROTOCOLS.join(", ")}`);
+  }
+  return url.toString();
+}
+
+// The audience as routing selectors (lib/routing.js), so the same matching
+// and topic conditions apply as for leads
+function audienceSelectors(audience) {
+  if (audience.all) return [{ all: true }];
+
+  const selectors = audience.roles.map((role) => (
+    audience.roleExperience ? { role, roleExperience: audience.roleExperience } : { role }
+  ));
+  audience.userIds.forEach((userId) => selectors.push({ userId }));
+  return selectors;
+}
+
+// Enabled tokens the audience reaches right now
+async function audienceTokens(companyId, audience) {
+  const tokens = await Token.find({ companyId: String(companyId), enabled: true }).lean();
+  if (audience.all) return tokens.filter((token) => token.token);
+
+  const selectors = audienceSelectors(audience);
+  return tokens.filter((token) => (
+    token.token && selectors.some((selector) => tokenMatchesSelector(token, selector))
+  ));
+}
+
+// Returns { users, devices } for an audience, before anything is sent
+async function previewAudience(companyId, audience) {
+  const tokens = await audienceTokens(companyId, normalizeAudience(audience));
+  return {
+    users: new Set(tokens.map((token) => token.userId)).size,
+    devices: tokens.length,
+  };
+}
+
+async function createBroadcast(companyId, fields, createdBy = "") {
+  const broadcast = await Broadcast.create({
+    companyId: String(companyId),
+    title: fields.title,
+    body: fields.body,
+    link: validateLink(fields.link),
+    audience: normalizeAudience(fields.audience),
+    sendAt: fields.sendAt || new Date(),
+    createdBy,
+  });
+
+  // Without its job the broadcast would sit "scheduled" and never go out
+  try {
+    await jobQueue.enqueue(
+      "BROADCAST",
+      { broadcastId: String(broadcast._id), companyId: broadcast.companyId },
+      { runAt: broadcast.sendAt, maxAttempts: 1 }
+    );
+  } catch (error) {
+    await Broadcast.updateOne(
+      { _id: broadcast._id },
+      { $set: { status: "failed", error: `Could not be queued: ${error.message}` } }
+    ).catch(() => {});
+    throw error;
+  }
+  return broadcast.toObject();
+}
+
+async function listBroadcasts(companyId, { status, limit = 50 } = {}) {
+  const query = { companyId: String(companyId) };
+  if (status) query.status = String(status);
+
+  return Broadcast.find(query)
+    .sort({ createdAt: -1 })
+    .limit(Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200))
+    .lean();
+}
+
+// Only broadcasts that haven't started sending can be cancelled
+async function cancelBroadcast(companyId, broadcastId) {
+  return Broadcast.findOneAndUpdate(
+    { _id: broadcastId, companyId: String(companyId), status: "scheduled" },
+    { $set: { status: "cancelled" } },
+    { returnDocument: "after" }
+  ).lean();
+}
+
+// Moves a due broadcast to "sending"; null if it was cancelled or another
+// worker already has it
+async function claimBroadcast(broadcastId) {
+  return Broadcast.findOneAndUpdate(
+    { _id: broadcastId, status: "scheduled" },
+    { $set: { status: "sending" } },
+    { returnDocument: "after" }
+  ).lean();
+}
+
+async function finishBroadcast(broadcastId, fields) {
+  await Broadcast.updateOne({ _id: broadcastId }, { $set: { ...fields, sentAt: new Date() } });
+}
+
+module.exports = {
+  normalizeAudience,
+  audienceSelectors,
+  audienceTokens,
+  previewAudience,
+  createBroadcast,
+  listBroadcasts,
+  cancelBroadcast,
+  claimBroadcast,
+  finishBroadcast,
+};
@@ -0,0 +1,297 @@
+// lib/channels.js
+// Delivery channels next to FCM push: SMTP email, a generic SMS HTTP
+// provider and a signed outbound webhook (Slack, the customer's CRM).
+// Which channels a notification goes through, and in what order, is set per
+// company and notification type in CompanySettings.delivery.
+const dns = require("dns");
+const http = require("http");
+const https = require("https");
+const net = require("net");
+const nodemailer = require("nodemailer");
+const { sign } = require("./webhookSignature");
+const { channelLatency } = require("./metrics");
+
+const CHANNELS = ["push", "email", "sms", "webhook"];
+
+// "not-delivered": try the next channel only if the previous ones reached nobody
+// "always": send on every listed channel
+const FALLBACK_MODES = ["not-delivered", "always"];
+
+const DEFAULT_PLAN = { channels: ["push"], fallbackOn: "not-delivered" };
+
+const TIMEOUT = parseInt(process.env.CHANNEL_TIMEOUT_MS, 10) || 10000;
+
+// Webhook URLs are set by company admins, so the server must not become a
+// way into its own network: loopback, private, link-local, CGNAT and
+// multicast addresses are refused, checked again on every connection.
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+  ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15], ["224.0.0.0", 4], ["240.0.0.0", 4],
+].forEach(([prefix, bits]) => BLOCKED_ADDRESSES.addSubnet(prefix, bits, "ipv4"));
+[
+  ["::", 127], ["::ffff:0:0", 96], ["64:ff9b::", 96], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8],
+].forEach(([prefix, bits]) => BLOCKED_ADDRESSES.addSubnet(prefix, bits, "ipv6"));
+
+// Local stand-ins (http://localhost:...) for development; never in production
+function allowPrivateWebhooks() {
+  return process.env.NODE_ENV !== "production" && process.env.WEBHOOK_ALLOW_PRIVATE === "true";
+}
+
+function isBlockedAddress(address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return BLOCKED_ADDRESSES.check(mapped[1], "ipv4");
+  return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? "ipv6" : "ipv4");
+}
+
+function blockedAddressError(address) {
+  const error = new Error(`Webhook address ${address} is not allowed`);
+  error.code = "webhook/blocked-address";
+  return error;
+}
+
+// dns.lookup that refuses blocked addresses, so a host that resolves to a
+// public address when checked and a private one when connecting is caught
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+    const addresses = Array.isArray(address) ? address : [{ address }];
+    const blocked = addresses.find((entry) => isBlockedAddress(entry.address));
+    if (blocked) return callback(blockedAddressError(blocked.address));
+    return callback(null, address, family);
+  });
+}
+
+// Returns an error code, or null when `value` may receive webhooks: an https
+// URL whose host only resolves to public addresses
+async function checkWebhookUrl(value) {
+  let url;
+  try {
+    url = new URL(String(value));
+  } catch (error) {
+    return "webhook/invalid-url";
+  }
+  if (allowPrivateWebhooks()) return ["https:", "http:"].includes(url.protocol) ? null : "webhook/invalid-url";
+  if (url.protocol !== "https:") return "webhook/https-required";
+
+  try {
+    const addresses = await dns.promises.lookup(url.hostname.replace(/^\[|\]$/g, ""), { all: true });
+    return addresses.some((entry) => isBlockedAddress(entry.address)) ? "webhook/blocked-address" : null;
+  } catch (error) {
+    return "webhook/dns-failed";
+  }
+}
+
+// One POST, no redirects followed; resolves with the response status
+function postJson(url, headers, body) {
+  return new Promise((resolve, reject) => {
+    const client = url.protocol === "https:" ? https : http;
+    const request = client.request(url, {
+      method: "POST",
+      headers: { ...headers, "Content-Length": Buffer.byteLength(body) },
+      lookup: allowPrivateWebhooks() ? undefined : guardedLookup,
+      timeout: TIMEOUT,
+    }, (response) => {
+      response.resume();
+      response.on("end", () => resolve(response.statusCode));
+    });
+    request.on("timeout", () => {
+      const error = new Error("Webhook timeout");
+      error.code = "webhook/timeout";
+      request.destroy(error);
+    });
+    request.on("error", reject);
+    request.end(body);
+  });
+}
+
+function smtpConfig() {
+  if (!process.env.SMTP_HOST) return null;
+  return {
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === "true", // implicit TLS, usually port 465
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS,
+    from: process.env.SMTP_FROM || "Catination <no-reply@catination.com>",
+  };
+}
+
+function smsConfig() {
+  if (!process.env.SMS_PROVIDER_URL) return null;
+  return {
+    url: process.env.SMS_PROVIDER_URL,
+    token: process.env.SMS_PROVIDER_TOKEN,
+    from: process.env.SMS_FROM || "",
+  };
+}
+
+// Channel order for one notification type; "default" covers the rest
+function deliveryPlan(settings, type) {
+  const rules = settings?.delivery || {};
+  const rule = rules[type] || rules.default;
+  if (!rule?.channels?.length) return DEFAULT_PLAN;
+  return { channels: rule.channels, fallbackOn: rule.fallbackOn || DEFAULT_PLAN.fallbackOn };
+}
+
+// Returns an error message, or null when `delivery` is a valid rule set
+function validateDeliveryRules(delivery, types) {
+  if (!delivery || typeof delivery !== "object" || Array.isArray(delivery)) {
+    return "delivery must be an object keyed by notification type";
+  }
+  for (const [type, rule] of Object.entries(delivery)) {
+    if (type !== "default" && !types.includes(type)) return `Unknown notification type: ${type}`;
+    if (!Array.isArray(rule?.channels) || !rule.channels.length) return `${type}: channels must be a non-empty array`;
+    const unknown = rule.channels.find((channel) => !CHANNELS.includes(channel));
+    if (unknown) return `${type}: unknown channel ${unknown}`;
+    if (new Set(rule.channels).size !== rule.channels.length) return `${type}: channels must not repeat`;
+    if (rule.fallbackOn !== undefined && !FALLBACK_MODES.includes(rule.fallbackOn)) {
+      return `${type}: fallbackOn must be one of ${FALLBACK_MODES.join(", ")}`;
+    }
+  }
+  return null;
+}
+
+function plainText(notification) {
+  const lines = [notification.body];
+  if (notification.data?.deepLink) lines.push("", notification.data.deepLink);
+  return lines.join("\n");
+}
+
+function failed(address, errorCode) {
+  return { delivered: false, address: address || "", messageId: "", errorCode };
+}
+
+async function sendEmail(notification, { to }) {
+  const config = smtpConfig();
+  if (!config) return failed(to, "email/not-configured");
+  if (!to) return failed("", "email/no-address");
+
+  // Credentials only ever go over TLS: with a user set, a server that doesn't
+  // offer STARTTLS (or has it stripped on the way) is refused before AUTH
+  const transport = nodemailer.createTransport({
+    host: config.host,
+    port: config.port,
+    secure: config.secure,
+    requireTLS: Boolean(config.user),
+    auth: config.user ? { user: config.user, pass: config.pass || "" } : undefined,
+    connectionTimeout: TIMEOUT,
+    greetingTimeout: TIMEOUT,
+    socketTimeout: TIMEOUT,
+  });
+
+  try {
+    const info = await transport.sendMail({
+      from: config.from,
+      to,
+      subject: notification.title,
+      text: plainText(notification),
+    });
+    return { delivered: true, address: to, messageId: info.messageId || "", errorCode: "" };
+  } catch (error) {
+    return failed(to, error.responseCode ? `smtp/${error.responseCode}` : `smtp/${error.code || "error"}`);
+  } finally {
+    transport.close();
+  }
+}
+
+// Generic provider: POST { to, from, text } as JSON, any 2xx is a success
+async function sendSms(notification, { to }) {
+  const config = smsConfig();
+  if (!config) return failed(to, "sms/not-configured");
+  if (!to) return failed("", "sms/no-address");
+
+  try {
+    const response = await fetch(config.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...(config.token ? { Authorization: `Bearer ${config.token}` } : {}),
+      },
+      body: JSON.stringify({
+        to,
+        from: config.from,
+        text: `${notification.title}\n${plainText(notification)}`,
+      }),
+      signal: AbortSignal.timeout(TIMEOUT),
+    });
+    if (!response.ok) return failed(to, `sms/http-${response.status}`);
+
+    const result = await response.json().catch(() => ({}));
+    return {
+      delivered: true,
+      address: to,
+      messageId: String(result.messageId || result.id || result.sid || ""),
+      errorCode: "",
+    };
+  } catch (error) {
+    return failed(to, error.name === "TimeoutError" ? "sms/timeout" : error.cause?.code || error.code || error.message);
+  }
+}
+
+// Signed the same way as inbound lead webhooks (see lib/webhookSignature.js),
+// with the company's outbound secret. `text` makes it postable to Slack as is.
+async function sendWebhook(notification, { url, secret }) {
+  if (!url) return failed("", "webhook/not-configured");
+  if (!secret) return failed(url, "webhook/no-secret");
+
+  const invalid = await checkWebhookUrl(url);
+  if (invalid) return failed(url, invalid);
+
+  const rawBody = JSON.stringify({
+    id: notification.id,
+    type: notification.type,
+    companyId: notification.companyId,
+    userId: notification.userId,
+    leadId: notification.leadId,
+    title: notification.title,
+    body: notification.body,
+    text: `${notification.title}\n${notification.body}`,
+    data: notification.data || {},
+    sentAt: new Date().toISOString(),
+  });
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  try {
+    const status = await postJson(new URL(url), {
+      "Content-Type": "application/json",
+      "X-Catination-Event": notification.type,
+      "X-Catination-Timestamp": String(timestamp),
+      "X-Catination-Signature": `sha256=${sign(secret, timestamp, rawBody)}`,
+    }, rawBody);
+    if (status < 200 || status >= 300) return failed(url, `webhook/http-${status}`);
+    return { delivered: true, address: url, messageId: "", errorCode: "" };
+  } catch (error) {
+    return failed(url, error.code || error.message);
+  }
+}
+
+const SENDERS = {
+  email: sendEmail,
+  sms: sendSms,
+  webhook: sendWebhook,
+};
+
+// `notification` = { id, type, companyId, userId, leadId, title, body, data }
+// `target` = { to } for email / sms, { url, secret } for webhook.
+// Never throws; returns { delivered, address, messageId, errorCode }.
+async function sendViaChannel(channel, notification, target = {}) {
+  const sender = SENDERS[channel];
+  if (!sender) return failed("", `${channel}/unsupported`);
+
+  const end = channelLatency.startTimer({ channel });
+  try {
+    return await sender(notification, target);
+  } finally {
+    end();
+  }
+}
+
+module.exports = {
+  CHANNELS,
+  FALLBACK_MODES,
+  deliveryPlan,
+  validateDeliveryRules,
+  checkWebhookUrl,
+  sendViaChannel,
+};
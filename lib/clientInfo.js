@@ -0,0 +1,42 @@
+// lib/clientInfo.js
+const MAX_FIELD_LENGTH = 100;
+
+function clean(value) {
+  if (value === undefined || value === null) return "";
+  return String(value).trim().slice(0, MAX_FIELD_LENGTH);
+}
+
+function detectPlatform(ua) {
+  if (/android/i.test(ua)) return "android";
+  if (/iphone|ipad|ipod/i.test(ua)) return "ios";
+  if (/windows/i.test(ua)) return "windows";
+  if (/mac os x|macintosh/i.test(ua)) return "macos";
+  if (/linux/i.test(ua)) return "linux";
+  return "";
+}
+
+// Order matters: Edge and Opera also claim to be Chrome, Chrome claims Safari
+function detectBrowser(ua) {
+  if (/edg\//i.test(ua)) return "edge";
+  if (/opr\//i.test(ua)) return "opera";
+  if (/firefox\//i.test(ua)) return "firefox";
+  if (/chrome\//i.test(ua)) return "chrome";
+  if (/safari\//i.test(ua)) return "safari";
+  return "";
+}
+
+// Whatever the client reports wins; the User-Agent only fills the gaps
+function buildClientInfo(reported, userAgent) {
+  const info = reported && typeof reported === "object" ? reported : {};
+  const ua = String(userAgent || "");
+
+  return {
+    platform: clean(info.platform) || detectPlatform(ua),
+    browser: clean(info.browser) || detectBrowser(ua),
+    appVersion: clean(info.appVersion),
+    deviceLabel: clean(info.deviceLabel),
+    userAgent: ua.slice(0, 300),
+  };
+}
+
+module.exports = { buildClientInfo };
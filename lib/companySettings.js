@@ -0,0 +1,174 @@
+// lib/companySettings.js
+const CompanySettings = require("../models/CompanySettings");
+const { generateSecret } = require("./webhookSignature");
+const { validateBranding, normalizeOrigins } = require("./branding");
+const { checkWebhookUrl } = require("./channels");
+
+const CACHE_TTL = 60 * 1000; // 1 minute
+const cache = new Map();
+const origins = { ts: 0, value: new Set() }; // see allowedOrigins()
+
+const EDITABLE_FIELDS = [
+  "deviceMode",
+  "maxDevicesPerUser",
+  "dedupeWindowSeconds",
+  "escalation",
+  "outboundWebhookUrl",
+  "delivery",
+  "topicFanout",
+  "throttle",
+  "autoAssign",
+  "branding",
+  "allowedOrigins",
+];
+
+// Object-valued settings are updated key by key so a partial body
+// ({ escalation: { enabled: true } }) doesn't wipe the rest
+const NESTED_FIELDS = ["escalation", "delivery", "topicFanout", "throttle", "autoAssign", "branding"];
+
+// select: false fields, by direction
+const SECRET_FIELDS = {
+  inbound: "webhookSecret", // verifies POST /events/lead
+  outbound: "outboundWebhookSecret", // signs the webhook delivery channel
+};
+
+function defaults(companyId) {
+  return {
+    companyId: String(companyId),
+    deviceMode: process.env.DEFAULT_DEVICE_MODE === "single" ? "single" : "multi",
+    maxDevicesPerUser: parseInt(process.env.DEFAULT_MAX_DEVICES, 10) || 5,
+    dedupeWindowSeconds: parseInt(process.env.DEFAULT_DEDUPE_WINDOW_SECONDS, 10) || 60,
+    escalation: {
+      enabled: false,
+      repushAfterMinutes: 10,
+      escalateAfterMinutes: 30,
+      escalateTo: "admins",
+      backupUserId: "",
+      markForReassignment: false,
+    },
+    outboundWebhookUrl: "",
+    delivery: {},
+    topicFanout: {
+      enabled: false,
+      minDevices: 500,
+    },
+    throttle: {
+      enabled: false,
+      maxPerWindow: 5,
+      windowMinutes: 5,
+    },
+    autoAssign: {
+      enabled: false,
+      strategy: "round-robin",
+      roles: ["EMPLOYEE"],
+      sourceTeams: {},
+      openLeadHours: 72,
+    },
+    branding: {
+      iconUrl: "",
+      badgeUrl: "",
+      clickDomain: "",
+      types: {},
+    },
+    allowedOrigins: [],
+  };
+}
+
+// Settings for a company, merged over defaults. Cached briefly since it is
+// read on every registration and send.
+async function getCompanySettings(companyId) {
+  const key = String(companyId);
+  const cached = cache.get(key);
+  if (cached && Date.now() - cached.ts < CACHE_TTL) return cached.value;
+
+  const doc = await CompanySettings.findOne({ companyId: key }).lean();
+  const base = defaults(key);
+  const value = { ...base, ...(doc || {}) };
+  NESTED_FIELDS.forEach((field) => {
+    value[field] = { ...base[field], ...(doc?.[field] || {}) };
+  });
+  cache.set(key, { value, ts: Date.now() });
+  return value;
+}
+
+async function updateCompanySettings(companyId, changes = {}) {
+  changes = { ...changes };
+  if (changes.branding !== undefined) changes.branding = validateBranding(changes.branding);
+  if (changes.allowedOrigins !== undefined) changes.allowedOrigins = normalizeOrigins(changes.allowedOrigins);
+  if (changes.outboundWebhookUrl) {
+    const invalid = await checkWebhookUrl(changes.outboundWebhookUrl);
+    if (invalid) {
+      const error = new Error(`outboundWebhookUrl must be a public https URL (${invalid})`);
+      error.name = "ValidationError";
+      throw error;
+    }
+  }
+
+  const $set = {};
+  EDITABLE_FIELDS.forEach((field) => {
+    const value = changes[field];
+    if (value === undefined) return;
+
+    if (NESTED_FIELDS.includes(field) && value && typeof value === "object" && !Array.isArray(value)) {
+      Object.keys(value).forEach((key) => { $set[`${field}.${key}`] = value[key]; });
+      return;
+    }
+    $set[field] = value;
+  });
+
+  await CompanySettings.findOneAndUpdate(
+    { companyId: String(companyId) },
+    { $set },
+    { upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+
+  cache.delete(String(companyId));
+  if (changes.allowedOrigins !== undefined) origins.ts = 0;
+  return getCompanySettings(companyId);
+}
+
+// Every company's allowedOrigins, for the CORS check (which origins may
+// call at all; server.js then holds each origin to its own company). Cached like settings;
+// a change on this instance reloads it at once, other instances within
+// CACHE_TTL. A failed reload keeps serving the last list.
+async function allowedOrigins() {
+  if (Date.now() - origins.ts < CACHE_TTL) return origins.value;
+  // Don't hold preflights while Mongo is down
+  if (CompanySettings.db.readyState !== 1) return origins.value;
+
+  try {
+    const values = await CompanySettings.distinct("allowedOrigins");
+    origins.value = new Set(values);
+  } catch (error) {
+    console.error("Allowed origins reload error:", error.message);
+  }
+  origins.ts = Date.now();
+  return origins.value;
+}
+
+// Kept out of getCompanySettings (select: false) so it is never echoed back
+async function getWebhookSecret(companyId, direction = "inbound") {
+  const field = SECRET_FIELDS[direction];
+  const doc = await CompanySettings.findOne({ companyId: String(companyId) })
+    .select(`+${field}`)
+    .lean();
+  return doc?.[field] || "";
+}
+
+async function rotateWebhookSecret(companyId, direction = "inbound") {
+  const secret = generateSecret();
+  await CompanySettings.updateOne(
+    { companyId: String(companyId) },
+    { $set: { [SECRET_FIELDS[direction]]: secret } },
+    { upsert: true, setDefaultsOnInsert: true }
+  );
+  return secret;
+}
+
+module.exports = {
+  getCompanySettings,
+  updateCompanySettings,
+  allowedOrigins,
+  getWebhookSecret,
+  rotateWebhookSecret,
+};
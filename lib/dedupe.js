@@ -0,0 +1,47 @@
+// lib/dedupe.js
+const os = require("os");
+const EventClaim = require("../models/EventClaim");
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+function claimKey(companyId, eventType, leadId) {
+  return `${companyId}:${eventType}:${leadId}`;
+}
+
+// True if this instance won the event. Expired claims can be taken over
+// (Mongo's TTL monitor only sweeps once a minute).
+async function claimEvent({ companyId, eventType, leadId, windowSeconds }) {
+  const now = new Date();
+  const key = claimKey(companyId, eventType, leadId);
+
+  try {
+    await EventClaim.findOneAndUpdate(
+      { key, expiresAt: { $lte: now } },
+      {
+        $set: {
+          companyId: String(companyId),
+          eventType,
+          leadId: String(leadId),
+          claimedBy: INSTANCE_ID,
+          expiresAt: new Date(now.getTime() + windowSeconds * 1000),
+        },
+      },
+      { upsert: true }
+    );
+    return true;
+  } catch (error) {
+    // A live claim exists: the upsert collided with it
+    if (error.code === 11000) return false;
+    throw error;
+  }
+}
+
+// Give the event back, e.g. when processing failed and a replay should retry it
+async function releaseEvent({ companyId, eventType, leadId }) {
+  await EventClaim.deleteOne({
+    key: claimKey(companyId, eventType, leadId),
+    claimedBy: INSTANCE_ID,
+  });
+}
+
+module.exports = { claimEvent, releaseEvent };
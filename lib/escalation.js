@@ -0,0 +1,101 @@
+// lib/escalation.js
+// Assignment escalation: after repushAfterMinutes the assignee is pushed
+// again, after escalateAfterMinutes admins (or a backup user) are told and
+// the lead can be flagged for reassignment. Steps run as ESCALATION_STEP
+// jobs (see server.js) and do nothing once the escalation is no longer active.
+const Escalation = require("../models/Escalation");
+const jobQueue = require("./jobQueue");
+
+const MINUTE = 60 * 1000;
+
+// Starts tracking a new assignment. Any earlier escalation for the same lead
+// is cancelled: the lead now belongs to someone else (or was re-sent).
+async function startEscalation(companyId, assignee, leadData, policy) {
+  const leadId = String(leadData.leadId);
+
+  await Escalation.updateMany(
+    { companyId: String(companyId), leadId, status: "active" },
+    { $set: { status: "cancelled", resolvedAt: new Date() } }
+  );
+
+  const escalation = await Escalation.create({
+    companyId: String(companyId),
+    leadId,
+    assignee: String(assignee),
+    leadData,
+    policy,
+  });
+
+  const startedAt = escalation.createdAt.getTime();
+  const payload = { escalationId: String(escalation._id), companyId: String(companyId) };
+
+  await jobQueue.enqueue("ESCALATION_STEP", { ...payload, step: "repush" }, {
+    runAt: new Date(startedAt + policy.repushAfterMinutes * MINUTE),
+  });
+  await jobQueue.enqueue("ESCALATION_STEP", { ...payload, step: "escalate" }, {
+    runAt: new Date(startedAt + Math.max(policy.escalateAfterMinutes, policy.repushAfterMinutes) * MINUTE),
+  });
+
+  return escalation.toObject();
+}
+
+// Records the step if the escalation is still active and the step hasn't
+// run yet (so queue retries don't repeat it). Returns the escalation or null.
+async function claimStep(escalationId, step, detail = "") {
+  return Escalation.findOneAndUpdate(
+    { _id: escalationId, status: "active", "steps.step": { $ne: step } },
+    { $push: { steps: { step, at: new Date(), detail } } },
+    { returnDocument: "after" }
+  ).lean();
+}
+
+// Undoes a claim whose work could not be handed off, so a retry claims it again
+async function releaseStep(escalationId, step) {
+  await Escalation.updateOne({ _id: escalationId }, { $pull: { steps: { step } } });
+}
+
+async function updateStepDetail(escalationId, step, detail) {
+  await Escalation.updateOne(
+    { _id: escalationId, "steps.step": step },
+    { $set: { "steps.$.detail": detail } }
+  );
+}
+
+async function completeEscalation(escalationId, { needsReassignment = false } = {}) {
+  const $set = { status: "completed", resolvedAt: new Date() };
+  const update = { $set };
+  if (needsReassignment) {
+    $set.needsReassignment = true;
+    update.$push = { steps: { step: "reassignment", at: new Date(), detail: "flagged for reassignment" } };
+  }
+  await Escalation.updateOne({ _id: escalationId, status: "active" }, update);
+}
+
+// The assignee accepted: stop everything still pending for them
+async function acceptEscalations(companyId, leadId, userId) {
+  const result = await Escalation.updateMany(
+    { companyId: String(companyId), leadId: String(leadId), assignee: String(userId), status: "active" },
+    { $set: { status: "accepted", resolvedAt: new Date() } }
+  );
+  return result.modifiedCount;
+}
+
+async function listEscalations(companyId, { leadId, assignee, status, needsReassignment } = {}) {
+  const query = { companyId: String(companyId) };
+  if (leadId) query.leadId = String(leadId);
+  if (assignee) query.assignee = String(assignee);
+  if (status) query.status = String(status);
+  if (needsReassignment !== undefined) query.needsReassignment = needsReassignment === true || needsReassignment === "true";
+
+  return Escalation.find(query).sort({ createdAt: -1 }).limit(200).lean();
+}
+
+module.exports = {
+  startEscalation,
+  claimStep,
+  releaseStep,
+  updateStepDetail,
+  completeEscalation,
+  acceptEscalations,
+  listEscalations,
+};
@@ -0,0 +1,128 @@
+// lib/eventStream.js
+// Live feed for browser dashboards (GET /stream, Server-Sent Events). The
+// lead, assignment and reminder events this server handles are published
+// here and written to every connected client of the same company that may
+// see them: admins see everything, users only events addressed to them.
+//
+// Each company keeps a short in-memory buffer so a reconnecting client
+// (Last-Event-ID) gets what it missed. Ids carry this process's boot id; a
+// client whose id isn't in the buffer any more (restart, another instance,
+// too long away) gets a "reset" event and should reload. Events only reach
+// clients connected to the instance that handled them.
+const metrics = require("./metrics");
+
+const BUFFER_SIZE = parseInt(process.env.STREAM_BUFFER_SIZE, 10) || 500;
+const BUFFER_SECONDS = parseInt(process.env.STREAM_BUFFER_SECONDS, 10) || 300;
+const HEARTBEAT_SECONDS = parseInt(process.env.STREAM_HEARTBEAT_SECONDS, 10) || 25;
+const MAX_CLIENTS = parseInt(process.env.STREAM_MAX_CLIENTS, 10) || 1000;
+const RETRY_MS = 3000;
+
+const BOOT_ID = Date.now().toString(36);
+let sequence = 0;
+
+// companyId -> { events, dropped: sequence of the newest event pruned }
+const buffers = new Map();
+const clients = new Set();
+
+const streamClients = metrics.gauge("catination_stream_clients", "Connected /stream clients");
+metrics.addCollector(() => streamClients.set({}, clients.size));
+
+function visibleTo(client, event) {
+  return client.admin || event.userIds.includes(client.userId);
+}
+
+function write(client, { id, event, data }) {
+  client.res.write(`id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+const seqOf = (entry) => Number(entry.id.split("-")[1]);
+
+function prune(buffer, now = Date.now()) {
+  const { events } = buffer;
+  while (events.length > BUFFER_SIZE || (events.length && now - events[0].at > BUFFER_SECONDS * 1000)) {
+    buffer.dropped = seqOf(events.shift());
+  }
+}
+
+// `userIds` are the users the event concerns; admins always see it.
+// Never throws: a dashboard must not break a send.
+function publish(companyId, event, data, userIds = []) {
+  try {
+    const key = String(companyId);
+    const entry = {
+      id: `${BOOT_ID}-${++sequence}`,
+      event,
+      data: { ...data, at: new Date().toISOString() },
+      userIds: Array.from(new Set(userIds.filter(Boolean).map(String))),
+      at: Date.now(),
+    };
+
+    if (!buffers.has(key)) buffers.set(key, { events: [], dropped: 0 });
+    const buffer = buffers.get(key);
+    buffer.events.push(entry);
+    prune(buffer, entry.at);
+
+    clients.forEach((client) => {
+      if (client.companyId === key && visibleTo(client, entry)) write(client, entry);
+    });
+  } catch (error) {
+    console.error("Stream publish error:", error.message);
+  }
+}
+
+// Events after `lastEventId`, or null when it can't be found
+function missedEvents(companyId, lastEventId) {
+  const [boot, seq] = String(lastEventId).split("-");
+  const after = Number(seq);
+  if (boot !== BOOT_ID || !Number.isInteger(after) || after > sequence) return null;
+
+  const buffer = buffers.get(String(companyId));
+  if (!buffer) return [];
+  prune(buffer);
+  // Something the client hasn't seen was already pruned
+  if (after < buffer.dropped) return null;
+
+  return buffer.events.filter((entry) => seqOf(entry) > after);
+}
+
+// Turns the response into an event stream until the client goes away.
+// Returns false (nothing written) when the server is at its client limit.
+function subscribe(req, res, { companyId, userId = "", admin = false }) {
+  if (clients.size >= MAX_CLIENTS) return false;
+
+  const client = { res, companyId: String(companyId), userId: String(userId || ""), admin };
+
+  res.status(200).set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // nginx: don't buffer the stream
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  const lastEventId = req.get("last-event-id") || req.query.lastEventId;
+  if (lastEventId) {
+    const missed = missedEvents(client.companyId, lastEventId);
+    if (missed === null) {
+      write(client, { id: `${BOOT_ID}-${sequence}`, event: "reset", data: { reason: "replay-unavailable" } });
+    } else {
+      missed.filter((entry) => visibleTo(client, entry)).forEach((entry) => write(client, entry));
+    }
+  }
+
+  // Comments keep proxies from closing an idle connection
+  const heartbeat = setInterval(() => res.write(`: ping ${Date.now()}\n\n`), HEARTBEAT_SECONDS * 1000);
+  clients.add(client);
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    clients.delete(client);
+  });
+  return true;
+}
+
+module.exports = {
+  publish,
+  subscribe,
+};
@@ -0,0 +1,102 @@
+// lib/inbox.js
+// Per-user record of lead, assignment and reminder notifications, so a
+// swiped-away push can still be found in the app. Items are written right
+// before the push goes out; the unread count is sent along as the badge.
+const InboxItem = require("../models/InboxItem");
+
+const INBOX_TYPES = new Set(["NEW_LEAD", "LEAD_DIGEST", "LEAD_ASSIGNED", "LEAD_ASSIGN_REMINDER", "FOLLOW_UP"]);
+const MAX_PAGE_SIZE = 100;
+
+// `items` are { companyId, userId, type, notificationId, leadId, title, body, data };
+// types that don't belong in the inbox are ignored. Returns the inserted docs.
+async function addToInbox(items) {
+  const docs = items.filter((item) => INBOX_TYPES.has(item.type));
+  if (!docs.length) return [];
+  return InboxItem.insertMany(docs.map((item) => ({
+    ...item,
+    companyId: String(item.companyId),
+    userId: String(item.userId),
+    leadId: item.leadId ? String(item.leadId) : "",
+  })), { ordered: false });
+}
+
+async function removeFromInbox(ids) {
+  if (ids.length) await InboxItem.deleteMany({ _id: { $in: ids } });
+}
+
+// Map(userId -> unread count); users without unread items are 0
+async function unreadCounts(companyId, userIds) {
+  const ids = Array.from(new Set(userIds.map(String)));
+  const rows = await InboxItem.aggregate([
+    { $match: { companyId: String(companyId), userId: { $in: ids }, readAt: null } },
+    { $group: { _id: "$userId", count: { $sum: 1 } } },
+  ]);
+  const counts = new Map(ids.map((id) => [id, 0]));
+  rows.forEach((row) => counts.set(row._id, row.count));
+  return counts;
+}
+
+async function unreadCount(companyId, userId) {
+  return InboxItem.countDocuments({ companyId: String(companyId), userId: String(userId), readAt: null });
+}
+
+// Newest first; pass the last item's createdAt as `before` for the next page
+async function listInbox(companyId, userId, { before, limit = 20, unreadOnly = false } = {}) {
+  const query = { companyId: String(companyId), userId: String(userId) };
+  if (before) query.createdAt = { $lt: before };
+  if (unreadOnly) query.readAt = null;
+
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), MAX_PAGE_SIZE);
+  const items = await InboxItem.find(query).sort({ createdAt: -1 }).limit(pageSize).lean();
+  return {
+    items,
+    nextBefore: items.length === pageSize ? items[items.length - 1].createdAt : null,
+  };
+}
+
+// `filter` narrows to one item ({ _id }) or one push ({ notificationId });
+// without it every unread item is marked. Returns how many changed.
+async function markRead(companyId, userId, filter = {}) {
+  const result = await InboxItem.updateMany(
+    { ...filter, companyId: String(companyId), userId: String(userId), readAt: null },
+    { $set: { readAt: new Date() } }
+  );
+  return result.modifiedCount;
+}
+
+// Unread count on the platforms' badge fields. APNs and Android show it on
+// the app icon; web clients read data.unreadCount and call setAppBadge (the
+// webpush `badge` field is the monochrome icon URL, not a number).
+function withBadge(message, count) {
+  const badged = {
+    ...message,
+    data: { ...message.data, unreadCount: String(count) },
+  };
+  if (message.android) {
+    badged.android = {
+      ...message.android,
+      notification: { ...message.android.notification, notificationCount: count },
+    };
+  }
+  if (message.apns) {
+    badged.apns = {
+      ...message.apns,
+      payload: {
+        ...message.apns.payload,
+        aps: { ...message.apns.payload?.aps, badge: count },
+      },
+    };
+  }
+  return badged;
+}
+
+module.exports = {
+  INBOX_TYPES,
+  addToInbox,
+  removeFromInbox,
+  unreadCounts,
+  unreadCount,
+  listInbox,
+  markRead,
+  withBadge,
+};
@@ -0,0 +1,209 @@
+// lib/jobQueue.js
+// Mongo-backed job queue. Jobs are stored before the API replies, so a
+// restart never drops work: a job left "running" by a dead process is
+// picked up again once its lock expires. A running job's lock is renewed
+// while its handler works, and its outcome is only written by the worker
+// still holding the lock.
+const os = require("os");
+const Job = require("../models/Job");
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+const POLL_INTERVAL = parseInt(process.env.JOB_POLL_INTERVAL_MS, 10) || 1000;
+const LOCK_TIMEOUT = parseInt(process.env.JOB_LOCK_TIMEOUT_MS, 10) || 2 * 60 * 1000;
+const BACKOFF_BASE = parseInt(process.env.JOB_BACKOFF_BASE_MS, 10) || 5000;
+const BACKOFF_MAX = 10 * 60 * 1000;
+const DEFAULT_MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS, 10) || 5;
+const HEARTBEAT_INTERVAL = Math.max(Math.floor(LOCK_TIMEOUT / 3), 1000);
+
+const handlers = new Map();
+let workerTimer = null;
+let draining = false;
+
+// Handlers return normally when the job is finished (even if nothing could be
+// delivered) and throw when it should be retried.
+function registerHandler(type, handler) {
+  handlers.set(type, handler);
+}
+
+async function enqueue(type, payload, options = {}) {
+  if (!handlers.has(type)) {
+    throw new Error(`No job handler registered for ${type}`);
+  }
+
+  return Job.create({
+    type,
+    payload,
+    runAt: options.runAt || new Date(),
+    maxAttempts: options.maxAttempts || DEFAULT_MAX_ATTEMPTS,
+  });
+}
+
+// Keeps one pending run of a periodic maintenance job queued. Called at
+// startup and by the job's handler when it finishes, to queue the next run.
+async function scheduleRecurring(type, intervalMs, payload = {}) {
+  const pending = await Job.exists({ type, status: "pending", "payload.recurring": true });
+  if (pending) return null;
+
+  return enqueue(type, { ...payload, recurring: true }, {
+    runAt: new Date(Date.now() + intervalMs),
+  });
+}
+
+function backoffDelay(attempts) {
+  return Math.min(BACKOFF_BASE * 2 ** Math.max(attempts - 1, 0), BACKOFF_MAX);
+}
+
+// Atomically claim the next due job (or one whose lock has expired)
+async function claimNextJob() {
+  const now = new Date();
+  return Job.findOneAndUpdate(
+    {
+      $or: [
+        { status: "pending", runAt: { $lte: now } },
+        { status: "running", lockedAt: { $lte: new Date(now.getTime() - LOCK_TIMEOUT) } },
+      ],
+    },
+    {
+      $set: { status: "running", lockedAt: now, lockedBy: WORKER_ID },
+      $inc: { attempts: 1 },
+    },
+    { sort: { runAt: 1 }, returnDocument: "after" }
+  );
+}
+
+// Keeps lockedAt fresh so a long handler isn't taken for a dead worker's
+function startHeartbeat(lock) {
+  const timer = setInterval(() => {
+    Job.updateOne(lock, { $set: { lockedAt: new Date() } }).catch((error) => {
+      console.error("Job heartbeat error:", error.message);
+    });
+  }, HEARTBEAT_INTERVAL);
+  timer.unref();
+  return timer;
+}
+
+// Writes the job's outcome unless another worker has claimed it since
+async function settle(job, lock, update) {
+  const { matchedCount } = await Job.updateOne(lock, update);
+  if (!matchedCount) console.warn(`⚠️ Job ${job._id} (${job.type}) lost its lock; outcome not recorded`);
+}
+
+async function runJob(job) {
+  const handler = handlers.get(job.type);
+  const lock = { _id: job._id, status: "running", lockedBy: WORKER_ID };
+  const heartbeat = startHeartbeat(lock);
+
+  try {
+    if (!handler) throw new Error(`No job handler registered for ${job.type}`);
+
+    const result = await handler(job.payload, job);
+    clearInterval(heartbeat);
+
+    await settle(
+      job,
+      lock,
+      {
+        $set: {
+          status: "done",
+          result: result === undefined ? null : result,
+          completedAt: new Date(),
+          lockedAt: null,
+          lastError: "",
+        },
+      }
+    );
+  } catch (error) {
+    clearInterval(heartbeat);
+    const lastError = error.code ? `${error.code}: ${error.message}` : error.message;
+
+    if (job.attempts >= job.maxAttempts) {
+      console.error(`☠️ Job ${job._id} (${job.type}) dead after ${job.attempts} attempts:`, lastError);
+      await settle(job, lock, { $set: { status: "dead", lockedAt: null, lastError } });
+      return;
+    }
+
+    const delay = backoffDelay(job.attempts);
+    console.warn(`🔁 Job ${job._id} (${job.type}) failed, retry in ${delay}ms:`, lastError);
+    await settle(
+      job,
+      lock,
+      {
+        $set: {
+          status: "pending",
+          runAt: new Date(Date.now() + delay),
+          lockedAt: null,
+          lastError,
+        },
+      }
+    );
+  }
+}
+
+async function drain() {
+  if (draining) return;
+  draining = true;
+
+  try {
+    let job;
+    while ((job = await claimNextJob())) {
+      await runJob(job);
+    }
+  } catch (error) {
+    console.error("Job worker error:", error.message);
+  } finally {
+    draining = false;
+  }
+}
+
+function startWorker() {
+  if (workerTimer) return;
+  workerTimer = setInterval(drain, POLL_INTERVAL);
+  drain();
+  console.log(`🧵 Job worker started (${WORKER_ID})`);
+}
+
+// Job counts by status, plus pending jobs already due (the backlog)
+async function queueStats() {
+  const [byStatus, due] = await Promise.all([
+    Job.aggregate([{ $group: { _id: "$status", count: { $sum: 1 } } }]),
+    Job.countDocuments({ status: "pending", runAt: { $lte: new Date() } }),
+  ]);
+
+  const stats = { pending: 0, running: 0, done: 0, dead: 0, due };
+  byStatus.forEach(({ _id, count }) => { stats[_id] = count; });
+  return stats;
+}
+
+async function listJobs({ companyId, status, type, limit } = {}) {
+  const query = {};
+  if (companyId) query["payload.companyId"] = String(companyId);
+  if (status) query.status = String(status);
+  if (type) query.type = String(type);
+
+  return Job.find(query)
+    .sort({ updatedAt: -1 })
+    .limit(Math.min(parseInt(limit, 10) || 50, 200))
+    .lean();
+}
+
+// Put a dead job back on the queue with a fresh set of attempts
+async function retryJob(jobId, companyId) {
+  const query = { _id: jobId, status: "dead" };
+  if (companyId) query["payload.companyId"] = String(companyId);
+
+  return Job.findOneAndUpdate(
+    query,
+    { $set: { status: "pending", attempts: 0, runAt: new Date(), lastError: "" } },
+    { returnDocument: "after" }
+  ).lean();
+}
+
+module.exports = {
+  registerHandler,
+  enqueue,
+  scheduleRecurring,
+  startWorker,
+  queueStats,
+  listJobs,
+  retryJob,
+};
@@ -0,0 +1,143 @@
+// lib/messaging.js
+// The push provider every send path goes through, chosen by MESSAGING_MODE:
+//   fcm      real Firebase Cloud Messaging (default)
+//   dry-run  FCM with validateOnly: tokens and payloads are checked by
+//            Google, nothing reaches a device
+//   fake     no Firebase at all; messages are kept in memory and, with
+//            MESSAGING_FAKE_LOG, appended to a JSON-lines file
+// All three expose the subset of admin.messaging() we use, plus
+// checkCredentials() for readiness.
+//
+// The fake fails tokens listed in MESSAGING_FAKE_ERRORS, a JSON object of
+// token (or "prefix*") -> FCM error code, e.g.
+//   {"dead-*": "messaging/registration-token-not-registered"}
+const fs = require("fs");
+const admin = require("firebase-admin");
+
+const MODES = ["fcm", "dry-run", "fake"];
+const FAKE_OUTBOX_SIZE = 1000;
+
+function messagingError(code) {
+  const error = new Error(`Simulated ${code}`);
+  error.code = code;
+  return error;
+}
+
+function parseFakeErrors(json) {
+  if (!json) return [];
+  const map = JSON.parse(json);
+  return Object.entries(map).map(([pattern, code]) => ({
+    test: pattern.endsWith("*")
+      ? (token) => token.startsWith(pattern.slice(0, -1))
+      : (token) => token === pattern,
+    code: String(code),
+  }));
+}
+
+function createFcmProvider({ serviceAccountJson, dryRun }) {
+  if (!serviceAccountJson) throw new Error("FIREBASE_SERVICE_ACCOUNT missing");
+
+  let serviceAccount;
+  try {
+    serviceAccount = JSON.parse(serviceAccountJson);
+  } catch (err) {
+    // The parser's message can quote the key material
+    throw new Error("Firebase JSON parse error");
+  }
+
+  const app = admin.initializeApp({ credential: admin.credential.cert(serviceAccount) });
+  const messaging = app.messaging();
+
+  return {
+    mode: dryRun ? "dry-run" : "fcm",
+    sendEachForMulticast: (message, validateOnly = false) =>
+      messaging.sendEachForMulticast(message, dryRun || validateOnly),
+    send: (message, validateOnly = false) => messaging.send(message, dryRun || validateOnly),
+    // Subscriptions don't deliver anything, so dry-run keeps them real
+    subscribeToTopic: (tokens, topic) => messaging.subscribeToTopic(tokens, topic),
+    unsubscribeFromTopic: (tokens, topic) => messaging.unsubscribeFromTopic(tokens, topic),
+    checkCredentials: () => app.options.credential.getAccessToken(),
+  };
+}
+
+function createFakeProvider({ errorsJson, logFile }) {
+  const errorRules = parseFakeErrors(errorsJson);
+  const outbox = [];
+  let counter = 0;
+
+  const errorFor = (token) => errorRules.find((rule) => rule.test(token))?.code || null;
+
+  function record(entry) {
+    const item = { ...entry, at: new Date().toISOString() };
+    outbox.push(item);
+    if (outbox.length > FAKE_OUTBOX_SIZE) outbox.shift();
+    if (logFile) {
+      fs.promises.appendFile(logFile, `${JSON.stringify(item)}\n`).catch((error) => {
+        console.error("Fake messaging log error:", error.message);
+      });
+    }
+  }
+
+  const nextId = () => `projects/fake/messages/${++counter}`;
+
+  // Per-token result in the shape sendEachForMulticast returns
+  function respond(token) {
+    const code = errorFor(token);
+    return code
+      ? { success: false, error: messagingError(code) }
+      : { success: true, messageId: nextId() };
+  }
+
+  async function subscription(action, tokens, topic) {
+    const errors = [];
+    tokens.forEach((token, index) => {
+      const code = errorFor(token);
+      if (code) errors.push({ index, error: messagingError(code) });
+    });
+    record({ action, topic, tokens });
+    return { successCount: tokens.length - errors.length, failureCount: errors.length, errors };
+  }
+
+  return {
+    mode: "fake",
+    async sendEachForMulticast({ tokens, ...message }, validateOnly = false) {
+      const responses = tokens.map(respond);
+      if (!validateOnly) record({ action: "multicast", tokens, message, responses });
+      const successCount = responses.filter((r) => r.success).length;
+      return { responses, successCount, failureCount: responses.length - successCount };
+    },
+    async send(message, validateOnly = false) {
+      if (message.token) {
+        const code = errorFor(message.token);
+        if (code) throw messagingError(code);
+      }
+      const messageId = nextId();
+      if (!validateOnly) record({ action: "send", message, messageId });
+      return messageId;
+    },
+    subscribeToTopic: (tokens, topic) => subscription("subscribe", tokens, topic),
+    unsubscribeFromTopic: (tokens, topic) => subscription("unsubscribe", tokens, topic),
+    checkCredentials: async () => ({ fake: true }),
+    // Most recent first
+    outbox: (limit = 100) => outbox.slice(-limit).reverse(),
+  };
+}
+
+// Throws when the configuration is unusable (unknown mode, missing or bad
+// service account, bad MESSAGING_FAKE_ERRORS JSON)
+function createMessagingProvider({
+  mode = "fcm",
+  serviceAccountJson,
+  fakeErrorsJson,
+  fakeLogFile,
+} = {}) {
+  if (!MODES.includes(mode)) throw new Error(`Unknown MESSAGING_MODE: ${mode}`);
+
+  if (mode === "fake") return createFakeProvider({ errorsJson: fakeErrorsJson, logFile: fakeLogFile });
+  return createFcmProvider({ serviceAccountJson, dryRun: mode === "dry-run" });
+}
+
+module.exports = {
+  MODES,
+  createMessagingProvider,
+};
@@ -0,0 +1,166 @@
+// lib/metrics.js
+// In-process Prometheus metrics (text exposition format 0.0.4) for /metrics.
+// Counters and histograms are updated where things happen; gauges that are
+// cheaper to read on demand (queue depth, SSE state) are filled in by
+// collectors right before each scrape.
+const registry = new Map();
+const collectors = [];
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+function labelKey(labelNames, labels = {}) {
+  return JSON.stringify(labelNames.map((name) => String(labels[name] ?? "")));
+}
+
+function formatLabels(labelNames, values, extra = "") {
+  const pairs = labelNames.map((name, i) => {
+    const value = values[i].replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+    return `${name}="${value}"`;
+  });
+  if (extra) pairs.push(extra);
+  return pairs.length ? `{${pairs.join(",")}}` : "";
+}
+
+function register(metric) {
+  if (registry.has(metric.name)) return registry.get(metric.name);
+  registry.set(metric.name, metric);
+  return metric;
+}
+
+function counter(name, help, labelNames = []) {
+  const values = new Map();
+  return register({
+    name,
+    help,
+    type: "counter",
+    inc(labels, value = 1) {
+      const key = labelKey(labelNames, labels);
+      values.set(key, (values.get(key) || 0) + value);
+    },
+    render() {
+      return Array.from(values, ([key, value]) => `${name}${formatLabels(labelNames, JSON.parse(key))} ${value}`);
+    },
+  });
+}
+
+function gauge(name, help, labelNames = []) {
+  const values = new Map();
+  return register({
+    name,
+    help,
+    type: "gauge",
+    set(labels, value) {
+      values.set(labelKey(labelNames, labels), value);
+    },
+    reset() {
+      values.clear();
+    },
+    render() {
+      return Array.from(values, ([key, value]) => `${name}${formatLabels(labelNames, JSON.parse(key))} ${value}`);
+    },
+  });
+}
+
+// Observations in seconds
+function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+  const series = new Map();
+  return register({
+    name,
+    help,
+    type: "histogram",
+    observe(labels, seconds) {
+      const key = labelKey(labelNames, labels);
+      if (!series.has(key)) series.set(key, { counts: buckets.map(() => 0), sum: 0, count: 0 });
+      const entry = series.get(key);
+      buckets.forEach((bound, i) => { if (seconds <= bound) entry.counts[i] += 1; });
+      entry.sum += seconds;
+      entry.count += 1;
+    },
+    // const end = startTimer({ kind: "multicast" }); ... end();
+    startTimer(labels) {
+      const start = process.hrtime.bigint();
+      return () => this.observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+    },
+    render() {
+      const lines = [];
+      series.forEach((entry, key) => {
+        const values = JSON.parse(key);
+        buckets.forEach((bound, i) => {
+          lines.push(`${name}_bucket${formatLabels(labelNames, values, `le="${bound}"`)} ${entry.counts[i]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels(labelNames, values, 'le="+Inf"')} ${entry.count}`);
+        lines.push(`${name}_sum${formatLabels(labelNames, values)} ${entry.sum}`);
+        lines.push(`${name}_count${formatLabels(labelNames, values)} ${entry.count}`);
+      });
+      return lines;
+    },
+  });
+}
+
+// `fn` runs before every scrape; errors are logged, not exposed
+function addCollector(fn) {
+  collectors.push(fn);
+}
+
+async function renderMetrics() {
+  for (const collect of collectors) {
+    try {
+      await collect();
+    } catch (error) {
+      console.error("Metrics collector error:", error.message);
+    }
+  }
+
+  const lines = [];
+  registry.forEach((metric) => {
+    lines.push(`# HELP ${metric.name} ${metric.help}`);
+    lines.push(`# TYPE ${metric.name} ${metric.type}`);
+    lines.push(...metric.render());
+  });
+  return `${lines.join("\n")}\n`;
+}
+
+// -------------------- Application metrics --------------------
+const leadsReceived = counter("catination_leads_received_total", "New-lead events received", ["source"]);
+const leadsDeduped = counter("catination_leads_deduped_total", "New-lead events skipped as duplicates");
+const leadsRouted = counter("catination_leads_routed_total", "Leads pushed to at least one device", ["fanout"]);
+const pushesSent = counter("catination_pushes_sent_total", "Pushes FCM accepted", ["type"]);
+const pushesFailed = counter("catination_pushes_failed_total", "Pushes FCM rejected, by error code", ["type", "code"]);
+const channelMessages = counter(
+  "catination_channel_messages_total",
+  "Email / SMS / webhook deliveries",
+  ["channel", "type", "result"]
+);
+const tokensPruned = counter("catination_tokens_pruned_total", "Tokens disabled or deleted", ["reason"]);
+const sendLatency = histogram(
+  "catination_push_send_duration_seconds",
+  "FCM send call latency",
+  ["kind"]
+);
+const channelLatency = histogram(
+  "catination_channel_send_duration_seconds",
+  "Email / SMS / webhook send latency",
+  ["channel"]
+);
+const leadLatency = histogram(
+  "catination_lead_processing_duration_seconds",
+  "Time from receiving a lead to finishing its pushes"
+);
+
+module.exports = {
+  counter,
+  gauge,
+  histogram,
+  addCollector,
+  renderMetrics,
+  leadsReceived,
+  leadsDeduped,
+  leadsRouted,
+  pushesSent,
+  pushesFailed,
+  channelMessages,
+  tokensPruned,
+  sendLatency,
+  channelLatency,
+  leadLatency,
+};
@@ -0,0 +1,112 @@
+// lib/notificationLog.js
+const NotificationLog = require("../models/NotificationLog");
+const metrics = require("./metrics");
+
+const MAX_PAGE_SIZE = 200;
+
+// Turn a sendEachForMulticast result into one entry per token.
+// `owners` maps token -> userId so lead pushes can be traced back to users.
+function buildResults(tokens, result, owners = {}) {
+  const responses = (result && result.responses) || [];
+  return tokens.map((token, index) => {
+    const response = responses[index] || {};
+    return {
+      token,
+      userId: owners[token] || "",
+      success: !!response.success,
+      messageId: response.messageId || "",
+      errorCode: response.success ? "" : response.error?.code || "",
+    };
+  });
+}
+
+// Every token in a batch failed with the same thrown error.
+function buildFailedResults(tokens, error, owners = {}) {
+  const errorCode = error?.code || error?.message || "unknown";
+  return tokens.map((token) => ({
+    token,
+    userId: owners[token] || "",
+    success: false,
+    messageId: "",
+    errorCode,
+  }));
+}
+
+// Every send ends up here, so this is where delivery metrics are counted
+function countResults(type, results) {
+  results.forEach((r) => {
+    const channel = r.channel || "push";
+    if (channel === "push" || channel === "topic") {
+      if (r.success) metrics.pushesSent.inc({ type });
+      else metrics.pushesFailed.inc({ type, code: r.errorCode || "unknown" });
+    } else {
+      metrics.channelMessages.inc({ channel, type, result: r.success ? "sent" : "failed" });
+    }
+  });
+}
+
+// Never throws: a logging failure must not break a send.
+// `notificationId` (optional) becomes the log's _id; it is the id sent in the
+// push data payload that clients acknowledge against.
+async function logNotification({ notificationId, type, companyId, leadId, userIds, results = [], error }) {
+  try {
+    countResults(type, results);
+
+    const recipients = new Set((userIds || []).filter(Boolean).map(String));
+    results.forEach((r) => r.userId && recipients.add(r.userId));
+
+    const successCount = results.filter((r) => r.success).length;
+
+    await NotificationLog.create({
+      ...(notificationId ? { _id: notificationId } : {}),
+      type,
+      companyId: String(companyId || ""),
+      userIds: Array.from(recipients),
+      leadId: leadId ? String(leadId) : "",
+      tokenCount: results.length,
+      successCount,
+      failureCount: results.length - successCount,
+      results,
+      error: error || "",
+      sentAt: new Date(),
+    });
+  } catch (err) {
+    console.error("Notification log error:", err.message);
+  }
+}
+
+async function queryNotifications(filters = {}) {
+  const query = {};
+
+  if (filters.companyId) query.companyId = String(filters.companyId);
+  if (filters.userId) query.userIds = String(filters.userId);
+  if (filters.leadId) query.leadId = String(filters.leadId);
+  if (filters.type) query.type = String(filters.type);
+
+  if (filters.from || filters.to) {
+    query.sentAt = {};
+    if (filters.from) query.sentAt.$gte = new Date(filters.from);
+    if (filters.to) query.sentAt.$lte = new Date(filters.to);
+  }
+
+  const page = Math.max(parseInt(filters.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 50, 1), MAX_PAGE_SIZE);
+
+  const [items, total] = await Promise.all([
+    NotificationLog.find(query)
+      .sort({ sentAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    NotificationLog.countDocuments(query),
+  ]);
+
+  return { items, total, page, limit };
+}
+
+module.exports = {
+  buildResults,
+  buildFailedResults,
+  logNotification,
+  queryNotifications,
+};
@@ -0,0 +1,149 @@
+// lib/openapi.js
+// Registers routes together with their spec from lib/routeSchemas.js:
+// validation runs after the route's auth middlewares and before its
+// handler, and every registered route is listed in the OpenAPI document
+// served at /openapi.json. A route without a spec fails at startup.
+const { authenticate, requireAdmin } = require("./auth");
+const { validate } = require("./validation");
+const { version } = require("../package.json");
+
+const METHODS = ["get", "post", "put", "delete"];
+
+// Who may call a route, read off its middlewares
+function accessOf(handlers) {
+  if (handlers.includes(requireAdmin)) return "admin";
+  if (handlers.includes(authenticate)) return "member";
+  return "public";
+}
+
+const pathParams = (path) => (path.match(/:(\w+)/g) || []).map((param) => param.slice(1));
+
+function parameters(route) {
+  const { spec, path, access } = route;
+  const list = [];
+
+  const params = spec.params?.properties || {};
+  pathParams(path).forEach((name) => {
+    list.push({ name, in: "path", required: true, schema: params[name] || { type: "string" } });
+  });
+
+  const query = { ...(spec.query?.properties || {}) };
+  // The master key has no company of its own
+  if (access !== "public" && !pathParams(path).includes("companyId") && !query.companyId) {
+    query.companyId = { type: "string", description: "Required with the master API key" };
+  }
+  Object.entries(query).forEach(([name, schema]) => {
+    list.push({ name, in: "query", required: (spec.query?.required || []).includes(name), schema });
+  });
+  return list;
+}
+
+function operation(route) {
+  const { spec, access } = route;
+  const op = {
+    summary: spec.summary,
+    tags: spec.tags || [],
+    parameters: parameters(route),
+    responses: {
+      200: { description: "Success", content: { "application/json": { schema: { $ref: "#/components/schemas/Success" } } } },
+      400: { $ref: "#/components/responses/Error" },
+      500: { $ref: "#/components/responses/Error" },
+    },
+  };
+
+  if (spec.body) {
+    op.requestBody = {
+      required: Boolean(spec.body.required?.length),
+      content: { "application/json": { schema: spec.body } },
+    };
+  }
+  if (access === "public") {
+    op.security = [];
+  } else {
+    op.responses[401] = { $ref: "#/components/responses/Error" };
+    op.responses[403] = { $ref: "#/components/responses/Error" };
+    if (access === "admin") op["x-requires-admin"] = true;
+  }
+  if (pathParams(route.path).length) op.responses[404] = { $ref: "#/components/responses/Error" };
+  return op;
+}
+
+function createApi(app, specs) {
+  const routes = [];
+
+  const register = (method) => (path, ...args) => {
+    const key = `${method.toUpperCase()} ${path}`;
+    const spec = specs[key];
+    if (!spec) throw new Error(`No route spec for ${key} (lib/routeSchemas.js)`);
+
+    const handlers = args.flat();
+    const handler = handlers.pop();
+    routes.push({ method, path, spec, access: accessOf(handlers) });
+
+    const hasInput = spec.params || spec.query || spec.body;
+    app[method](path, ...handlers, ...(hasInput ? [validate(spec)] : []), handler);
+  };
+
+  const api = {};
+  METHODS.forEach((method) => { api[method] = register(method); });
+
+  api.document = () => {
+    const paths = {};
+    routes.forEach((route) => {
+      const path = route.path.replace(/:(\w+)/g, "{$1}");
+      paths[path] = { ...paths[path], [route.method]: operation(route) };
+    });
+
+    return {
+      openapi: "3.1.0",
+      info: { title: "Catination Push Server", version },
+      paths,
+      security: [{ apiKey: [] }, { bearer: [] }],
+      components: {
+        securitySchemes: {
+          apiKey: { type: "apiKey", in: "header", name: "x-api-key" },
+          bearer: { type: "http", scheme: "bearer", description: "User token issued by the Catination app" },
+        },
+        schemas: {
+          Success: {
+            type: "object",
+            properties: { success: { type: "boolean", enum: [true] } },
+            required: ["success"],
+          },
+          Error: {
+            type: "object",
+            properties: {
+              success: { type: "boolean", enum: [false] },
+              code: { type: "string", description: "e.g. validation_failed, not_found, forbidden" },
+              message: { type: "string" },
+              details: {
+                type: "array",
+                items: {
+                  type: "object",
+                  properties: {
+                    field: { type: "string", description: "e.g. body.leadData.leadId" },
+                    code: { type: "string", description: "e.g. required, type, max_items" },
+                    message: { type: "string" },
+                  },
+                },
+              },
+            },
+            required: ["success", "code", "message"],
+          },
+        },
+        responses: {
+          Error: {
+            description: "Error",
+            content: { "application/json": { schema: { $ref: "#/components/schemas/Error" } } },
+          },
+        },
+      },
+    };
+  };
+
+  return api;
+}
+
+module.exports = {
+  createApi,
+};
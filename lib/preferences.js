@@ -0,0 +1,144 @@
+// lib/preferences.js
+// Per-user delivery preferences. Every send path asks applyPreferences()
+// which tokens may be pushed now; the rest are muted (dropped) or held until
+// the user's quiet hours end.
+const UserPreference = require("../models/UserPreference");
+
+const EDITABLE_FIELDS = ["mutedTypes", "mutedSources", "quietHours", "timeZone", "criticalOnly", "email", "phone"];
+
+// Assignments, follow-ups and escalations are aimed at specific people, so
+// they count as critical; anything else only when the payload flags it.
+function isCritical(type, payload = {}) {
+  if (["LEAD_ASSIGNED", "FOLLOW_UP", "LEAD_ESCALATED"].includes(type)) return true;
+  return payload.critical === true || payload.priority === "critical";
+}
+
+function toMinutes(hhmm) {
+  const [h, m] = String(hhmm).split(":").map(Number);
+  return h * 60 + m;
+}
+
+// Minutes since local midnight in the given time zone
+function localMinutes(now, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-GB", {
+    timeZone,
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  }).formatToParts(now);
+  const hour = Number(parts.find((p) => p.type === "hour").value);
+  const minute = Number(parts.find((p) => p.type === "minute").value);
+  return hour * 60 + minute;
+}
+
+// When quiet hours are on right now, the Date they end; otherwise null.
+// Handles windows that cross midnight (22:00 -> 07:00).
+function quietUntil(prefs, now = new Date()) {
+  const quiet = prefs?.quietHours;
+  if (!quiet?.enabled) return null;
+
+  const start = toMinutes(quiet.start);
+  const end = toMinutes(quiet.end);
+  if (start === end) return null;
+
+  const current = localMinutes(now, prefs.timeZone || "Asia/Kolkata");
+  const inside = start < end
+    ? current >= start && current < end
+    : current >= start || current < end;
+  if (!inside) return null;
+
+  const minutesLeft = (end - current + 1440) % 1440;
+  const until = new Date(now.getTime() + minutesLeft * 60 * 1000);
+  until.setSeconds(0, 0);
+  return until;
+}
+
+// "send" | "mute" | { holdUntil: Date }
+function decide(prefs, type, payload = {}, now = new Date()) {
+  if (!prefs) return "send";
+
+  if ((prefs.mutedTypes || []).includes(type)) return "mute";
+  // A digest is new leads too
+  if (type === "LEAD_DIGEST" && (prefs.mutedTypes || []).includes("NEW_LEAD")) return "mute";
+
+  const source = String(payload.source || "").trim().toLowerCase();
+  if (source && (prefs.mutedSources || []).some((s) => String(s).trim().toLowerCase() === source)) {
+    return "mute";
+  }
+
+  if (prefs.criticalOnly && !isCritical(type, payload)) return "mute";
+
+  const holdUntil = quietUntil(prefs, now);
+  if (holdUntil) return { holdUntil };
+
+  return "send";
+}
+
+async function loadPreferences(companyId, userIds) {
+  const docs = await UserPreference.find({
+    companyId: String(companyId),
+    userId: { $in: Array.from(new Set(userIds)).map(String) },
+  }).lean();
+  return new Map(docs.map((doc) => [doc.userId, doc]));
+}
+
+// Splits token docs by their owner's preferences.
+// Returns { allowed: [tokenDoc], muted: [userId], held: Map(userId -> Date) }
+async function applyPreferences(companyId, tokenDocs, type, payload = {}) {
+  const prefsByUser = await loadPreferences(companyId, tokenDocs.map((t) => t.userId));
+  const now = new Date();
+
+  const allowed = [];
+  const muted = new Set();
+  const held = new Map();
+
+  tokenDocs.forEach((doc) => {
+    const decision = decide(prefsByUser.get(doc.userId), type, payload, now);
+    if (decision === "send") allowed.push(doc);
+    else if (decision === "mute") muted.add(doc.userId);
+    else held.set(doc.userId, decision.holdUntil);
+  });
+
+  return { allowed, muted: Array.from(muted), held };
+}
+
+async function getPreferences(companyId, userId) {
+  const doc = await UserPreference.findOne({ companyId: String(companyId), userId: String(userId) }).lean();
+  if (doc) return doc;
+
+  // Defaults, without creating a document
+  const defaults = new UserPreference({ companyId, userId }).toObject();
+  delete defaults._id;
+  return defaults;
+}
+
+async function updatePreferences(companyId, userId, changes = {}) {
+  const $set = {};
+  EDITABLE_FIELDS.forEach((field) => {
+    if (changes[field] === undefined) return;
+    if (field === "quietHours" && changes.quietHours && typeof changes.quietHours === "object") {
+      // Allow partial updates, e.g. { quietHours: { enabled: true } }
+      Object.keys(changes.quietHours)
+        .filter((key) => ["enabled", "start", "end"].includes(key))
+        .forEach((key) => { $set[`quietHours.${key}`] = changes.quietHours[key]; });
+      return;
+    }
+    $set[field] = changes[field];
+  });
+
+  return UserPreference.findOneAndUpdate(
+    { companyId: String(companyId), userId: String(userId) },
+    { $set },
+    { upsert: true, runValidators: true, setDefaultsOnInsert: true, returnDocument: "after" }
+  ).lean();
+}
+
+module.exports = {
+  isCritical,
+  quietUntil,
+  decide,
+  loadPreferences,
+  applyPreferences,
+  getPreferences,
+  updatePreferences,
+};
@@ -0,0 +1,439 @@
+// lib/routeSchemas.js
+// One spec per route, keyed "METHOD /path" as registered in server.js:
+// { summary, tags, params, query, body }. params/query/body are schemas for
+// lib/validation.js and are published unchanged in /openapi.json. Bodies
+// allow fields not listed here so older clients keep working; anything
+// listed is checked.
+const { ACK_STATUSES } = require("./acks");
+const { STRATEGIES } = require("./autoAssign");
+const { TYPE_DEFAULTS } = require("./branding");
+const { CHANNELS } = require("./channels");
+const { TEMPLATE_TYPES } = require("./templates");
+
+const NOTIFICATION_TYPES = Object.keys(TYPE_DEFAULTS);
+
+const string = { type: "string" };
+const text = (maxLength) => ({ type: "string", minLength: 1, maxLength });
+const stringOrNumber = { type: ["string", "number"] };
+const objectId = { type: "string", pattern: "^[a-fA-F0-9]{24}$" };
+const dateTime = { type: "string", format: "date-time" };
+const boolean = { type: "boolean" };
+const integer = (minimum, maximum) => ({ type: "integer", minimum, ...(maximum ? { maximum } : {}) });
+const strings = (maxItems, items = string) => ({ type: "array", items, maxItems });
+const oneOrMany = (maxItems) => ({ type: ["string", "array"], items: string, maxItems });
+const object = (properties, required) => ({ type: "object", properties, ...(required ? { required } : {}) });
+
+const limit = integer(1);
+const idParams = object({ id: objectId }, ["id"]);
+const userIdQuery = object({ userId: string });
+const userIdBody = object({ userId: string });
+
+const leadData = object({
+  leadId: stringOrNumber,
+  leadName: string,
+  name: string,
+  phone: string,
+  email: string,
+  source: string,
+  assignedBy: string,
+});
+
+const selector = object({ role: string, userId: string, team: string, roleExperience: stringOrNumber });
+
+const routingRule = object({
+  name: text(200),
+  enabled: boolean,
+  priority: { type: "number" },
+  conditions: {
+    type: "array",
+    maxItems: 50,
+    items: object({
+      field: text(200),
+      op: { type: "string", enum: ["eq", "ne", "in", "nin", "contains", "gte", "lte", "exists"] },
+      value: {},
+    }, ["field"]),
+  },
+  recipients: { type: "array", minItems: 1, maxItems: 200, items: selector },
+  stop: boolean,
+});
+
+const repeat = object({
+  intervalMinutes: integer(0),
+  until: dateTime,
+  maxOccurrences: integer(0),
+});
+
+const deliveryRule = object({
+  channels: { type: "array", items: { type: "string", enum: CHANNELS }, minItems: 1, maxItems: CHANNELS.length },
+  fallbackOn: { type: "string", enum: ["not-delivered", "always"] },
+});
+
+const settings = object({
+  deviceMode: { type: "string", enum: ["single", "multi"] },
+  maxDevicesPerUser: integer(1, 50),
+  dedupeWindowSeconds: integer(1, 7 * 24 * 60 * 60),
+  outboundWebhookUrl: { type: "string", maxLength: 2000 },
+  escalation: object({
+    enabled: boolean,
+    repushAfterMinutes: integer(1),
+    escalateAfterMinutes: integer(1),
+    escalateTo: { type: "string", enum: ["admins", "backup"] },
+    backupUserId: string,
+    markForReassignment: boolean,
+  }),
+  delivery: { type: "object", additionalProperties: deliveryRule },
+  topicFanout: object({ enabled: boolean, minDevices: integer(1) }),
+  throttle: object({ enabled: boolean, maxPerWindow: integer(1), windowMinutes: integer(1, 24 * 60) }),
+  autoAssign: object({
+    enabled: boolean,
+    strategy: { type: "string", enum: STRATEGIES },
+    roles: strings(50),
+    sourceTeams: { type: "object", additionalProperties: string },
+    openLeadHours: integer(1),
+  }),
+  branding: object({
+    iconUrl: string,
+    badgeUrl: string,
+    clickDomain: string,
+    types: {
+      type: "object",
+      additionalProperties: object({
+        channelId: string,
+        sound: string,
+        vibrate: { type: "array", items: integer(0, 10000), maxItems: 20 },
+      }),
+    },
+  }),
+  allowedOrigins: strings(100),
+});
+
+const preferences = object({
+  userId: string,
+  mutedTypes: strings(NOTIFICATION_TYPES.length, { type: "string", enum: NOTIFICATION_TYPES }),
+  mutedSources: strings(200),
+  quietHours: object({
+    enabled: boolean,
+    start: { type: "string", pattern: "^([01]\\d|2[0-3]):[0-5]\\d$" },
+    end: { type: "string", pattern: "^([01]\\d|2[0-3]):[0-5]\\d$" },
+  }),
+  timeZone: string,
+  criticalOnly: boolean,
+  email: string,
+  phone: string,
+});
+
+const audience = object({
+  all: boolean,
+  roles: strings(50),
+  roleExperience: stringOrNumber,
+  userIds: strings(5000),
+});
+
+const ROUTES = {
+  "GET /health": { summary: "Liveness with SSE state (legacy)", tags: ["Health"] },
+  "GET /health/live": { summary: "Liveness", tags: ["Health"] },
+  "GET /health/ready": { summary: "Readiness of MongoDB, messaging, SSE and the job queue", tags: ["Health"] },
+  "GET /metrics": { summary: "Prometheus metrics (Bearer METRICS_TOKEN; required in production)", tags: ["Health"] },
+  "GET /openapi.json": { summary: "This document", tags: ["Health"] },
+
+  "POST /register-token": {
+    summary: "Register a device token for a user",
+    tags: ["Devices"],
+    body: object({
+      token: text(4096),
+      userId: text(320),
+      role: string,
+      roleExperience: stringOrNumber,
+      team: string,
+      locale: string,
+      clientInfo: { type: "object" },
+    }, ["token", "userId"]),
+  },
+  "POST /logout-token": {
+    summary: "Disable a device token, or every token of a user",
+    tags: ["Devices"],
+    body: object({ token: string, userId: string }),
+  },
+  "GET /users/:userId/devices": { summary: "Devices of one user", tags: ["Devices"] },
+  "DELETE /users/:userId/devices/:deviceId": {
+    summary: "Revoke one device",
+    tags: ["Devices"],
+    params: object({ userId: string, deviceId: objectId }, ["userId", "deviceId"]),
+  },
+  "POST /users/:userId/devices/:deviceId/test": {
+    summary: "Send a test push to one device",
+    tags: ["Devices"],
+    params: object({ userId: string, deviceId: objectId }, ["userId", "deviceId"]),
+    body: object({ title: { type: "string", maxLength: 200 }, body: { type: "string", maxLength: 1000 } }),
+  },
+
+  "POST /send-assignment-notification": {
+    summary: "Notify an employee about a lead assigned to them",
+    tags: ["Assignments"],
+    body: object({ employeeEmail: text(320), leadData }, ["employeeEmail", "leadData"]),
+  },
+  "POST /send-bulk-assignment-notifications": {
+    summary: "Notify several employees about assigned leads",
+    tags: ["Assignments"],
+    body: object({
+      assignments: {
+        type: "array",
+        maxItems: 500,
+        items: object({ employeeEmail: string, leadData }),
+      },
+    }, ["assignments"]),
+  },
+  "POST /admin/distribute": {
+    summary: "Remind employees about leads waiting to be assigned",
+    tags: ["Assignments"],
+    body: object({
+      companyId: string,
+      employees: { type: "array", items: text(320), minItems: 1, maxItems: 1000 },
+    }, ["employees"]),
+  },
+  "GET /auto-assign/state": { summary: "Auto-assign settings, rotation and open leads", tags: ["Assignments"] },
+  "GET /auto-assign/history": {
+    summary: "Auto-assign decisions, newest first",
+    tags: ["Assignments"],
+    query: object({
+      leadId: string,
+      assignee: string,
+      status: { type: "string", enum: ["open", "closed", "unassigned"] },
+      before: dateTime,
+      limit,
+    }),
+  },
+
+  "POST /events/lead": {
+    summary: "Signed lead webhook (x-catination-signature, x-catination-timestamp)",
+    tags: ["Leads"],
+    body: object({ companyId: string, tenantId: string, leadId: stringOrNumber }),
+  },
+  "GET /events/:eventId": { summary: "A webhook event and the pushes it produced", tags: ["Leads"] },
+  "GET /stream": {
+    summary: "Server-Sent Events feed of leads, assignments and reminders",
+    tags: ["Leads"],
+    query: object({ access_token: string, lastEventId: string }),
+  },
+
+  "POST /broadcasts/preview": {
+    summary: "Count the users and devices an audience reaches",
+    tags: ["Broadcasts"],
+    body: object({ audience }, ["audience"]),
+  },
+  "POST /broadcasts": {
+    summary: "Send an announcement now or at sendAt",
+    tags: ["Broadcasts"],
+    body: object({
+      title: text(200),
+      body: text(1000),
+      link: { type: "string", maxLength: 2000 },
+      audience,
+      sendAt: dateTime,
+    }, ["title", "body", "audience"]),
+  },
+  "GET /broadcasts": {
+    summary: "Broadcasts, newest first",
+    tags: ["Broadcasts"],
+    query: object({ status: { type: "string", enum: ["scheduled", "sending", "sent", "cancelled", "failed"] }, limit }),
+  },
+  "GET /broadcasts/:id": { summary: "One broadcast", tags: ["Broadcasts"], params: idParams },
+  "DELETE /broadcasts/:id": { summary: "Cancel a scheduled broadcast", tags: ["Broadcasts"], params: idParams },
+
+  "GET /notifications": {
+    summary: "Notification delivery log",
+    tags: ["Notifications"],
+    query: object({
+      userId: string,
+      leadId: string,
+      type: string,
+      from: dateTime,
+      to: dateTime,
+      page: integer(1),
+      limit,
+    }),
+  },
+  "POST /notifications/:id/ack": {
+    summary: "Acknowledge a push from the client",
+    tags: ["Notifications"],
+    params: idParams,
+    body: object({ status: { type: "string", enum: ACK_STATUSES }, token: string, userId: string }, ["status"]),
+  },
+  "GET /acks/leads/:leadId": { summary: "Who picked up a lead", tags: ["Notifications"] },
+  "GET /acks/users/:userId": {
+    summary: "What one employee did with their notifications",
+    tags: ["Notifications"],
+    query: object({ from: dateTime, to: dateTime }),
+  },
+  "GET /escalations": {
+    summary: "Escalations of unaccepted assignments",
+    tags: ["Notifications"],
+    query: object({
+      leadId: string,
+      assignee: string,
+      status: { type: "string", enum: ["active", "accepted", "completed", "cancelled"] },
+      needsReassignment: boolean,
+    }),
+  },
+  "POST /channels/:channel/test": {
+    summary: "Send a test message through a fallback channel",
+    tags: ["Notifications"],
+    params: object({ channel: { type: "string", enum: CHANNELS.filter((channel) => channel !== "push") } }, ["channel"]),
+    body: object({ to: string }),
+  },
+  "GET /messaging/outbox": {
+    summary: "Messages the fake provider sent (master key, fake mode)",
+    tags: ["Notifications"],
+    query: object({ limit }),
+  },
+
+  "GET /inbox": {
+    summary: "A user's notification inbox, newest first",
+    tags: ["Inbox"],
+    query: object({ userId: string, before: dateTime, limit, unread: boolean }),
+  },
+  "GET /inbox/unread-count": { summary: "Unread inbox items", tags: ["Inbox"], query: userIdQuery },
+  "POST /inbox/read-all": { summary: "Mark the whole inbox read", tags: ["Inbox"], query: userIdQuery, body: userIdBody },
+  "POST /inbox/:id/read": {
+    summary: "Mark one inbox item read",
+    tags: ["Inbox"],
+    params: idParams,
+    query: userIdQuery,
+    body: userIdBody,
+  },
+
+  "GET /preferences": { summary: "A user's notification preferences", tags: ["Preferences"], query: userIdQuery },
+  "PUT /preferences": {
+    summary: "Update notification preferences",
+    tags: ["Preferences"],
+    query: userIdQuery,
+    body: preferences,
+  },
+
+  "POST /scheduled-notifications": {
+    summary: "Schedule a follow-up notification",
+    tags: ["Scheduled notifications"],
+    body: object({
+      leadId: stringOrNumber,
+      title: text(200),
+      body: text(1000),
+      data: { type: "object" },
+      sendAt: dateTime,
+      repeat,
+      stopWhenContacted: boolean,
+      userIds: oneOrMany(1000),
+      roles: oneOrMany(50),
+      teams: oneOrMany(50),
+    }, ["title", "body", "sendAt"]),
+  },
+  "GET /scheduled-notifications": {
+    summary: "Scheduled notifications",
+    tags: ["Scheduled notifications"],
+    query: object({
+      leadId: string,
+      status: { type: "string", enum: ["scheduled", "completed", "cancelled"] },
+      userId: string,
+    }),
+  },
+  "PUT /scheduled-notifications/:id": {
+    summary: "Move a schedule",
+    tags: ["Scheduled notifications"],
+    params: idParams,
+    body: object({ sendAt: dateTime, repeat }, ["sendAt"]),
+  },
+  "DELETE /scheduled-notifications/:id": {
+    summary: "Cancel a schedule",
+    tags: ["Scheduled notifications"],
+    params: idParams,
+    body: object({ reason: { type: "string", maxLength: 200 } }),
+  },
+  "POST /scheduled-notifications/lead/:leadId/reschedule": {
+    summary: "Move every active schedule of a lead",
+    tags: ["Scheduled notifications"],
+    body: object({ sendAt: dateTime, repeat }, ["sendAt"]),
+  },
+  "POST /scheduled-notifications/lead/:leadId/cancel": {
+    summary: "Cancel every active schedule of a lead",
+    tags: ["Scheduled notifications"],
+    body: object({ reason: { type: "string", maxLength: 200 } }),
+  },
+
+  "GET /companies/:companyId/settings": { summary: "Company settings", tags: ["Company"] },
+  "PUT /companies/:companyId/settings": { summary: "Update company settings", tags: ["Company"], body: settings },
+  "GET /companies/:companyId/branding": { summary: "Effective push branding per type", tags: ["Company"] },
+  "POST /companies/:companyId/webhook-secret": { summary: "Rotate the lead webhook secret", tags: ["Company"] },
+  "POST /companies/:companyId/outbound-webhook-secret": {
+    summary: "Rotate the outbound webhook signing secret",
+    tags: ["Company"],
+  },
+  "GET /companies/:companyId/api-keys": { summary: "API keys", tags: ["Company"] },
+  "POST /companies/:companyId/api-keys": {
+    summary: "Create an API key",
+    tags: ["Company"],
+    body: object({ label: { type: "string", maxLength: 200 } }),
+  },
+  "POST /companies/:companyId/api-keys/:keyId/rotate": {
+    summary: "Rotate an API key, keeping the old one for graceMinutes",
+    tags: ["Company"],
+    params: object({ companyId: string, keyId: objectId }, ["companyId", "keyId"]),
+    body: object({ graceMinutes: { type: "number", minimum: 0 } }),
+  },
+  "DELETE /companies/:companyId/api-keys/:keyId": {
+    summary: "Revoke an API key",
+    tags: ["Company"],
+    params: object({ companyId: string, keyId: objectId }, ["companyId", "keyId"]),
+  },
+
+  "GET /templates": { summary: "Notification templates and defaults", tags: ["Templates"] },
+  "PUT /templates/:type/:locale": {
+    summary: "Save a template for a type and locale",
+    tags: ["Templates"],
+    params: object({ type: { type: "string", enum: TEMPLATE_TYPES }, locale: string }, ["type", "locale"]),
+    body: object({ title: text(200), body: text(1000) }, ["title", "body"]),
+  },
+  "DELETE /templates/:type/:locale": {
+    summary: "Delete a template",
+    tags: ["Templates"],
+    params: object({ type: { type: "string", enum: TEMPLATE_TYPES }, locale: string }, ["type", "locale"]),
+  },
+  "POST /templates/preview": {
+    summary: "Render a template or a draft against sample variables",
+    tags: ["Templates"],
+    body: object({
+      type: { type: "string", enum: TEMPLATE_TYPES },
+      locale: string,
+      title: string,
+      body: string,
+      variables: { type: "object" },
+    }, ["type"]),
+  },
+
+  "GET /routing-rules": { summary: "Lead routing rules", tags: ["Routing"] },
+  "POST /routing-rules": {
+    summary: "Create a routing rule",
+    tags: ["Routing"],
+    body: { ...routingRule, required: ["name", "recipients"] },
+  },
+  "PUT /routing-rules/:id": { summary: "Update a routing rule", tags: ["Routing"], params: idParams, body: routingRule },
+  "DELETE /routing-rules/:id": { summary: "Delete a routing rule", tags: ["Routing"], params: idParams },
+  "POST /routing-rules/dry-run": {
+    summary: "Evaluate the rules (or draft rules) against a sample lead",
+    tags: ["Routing"],
+    body: object({
+      lead: { type: "object" },
+      rules: { type: "array", items: routingRule, maxItems: 100 },
+    }, ["lead"]),
+  },
+  "POST /topics/reconcile": { summary: "Re-sync FCM topic subscriptions now", tags: ["Routing"] },
+
+  "GET /jobs": {
+    summary: "Queued, running, done and dead jobs",
+    tags: ["Jobs"],
+    query: object({ status: { type: "string", enum: ["pending", "running", "done", "dead"] }, type: string, limit }),
+  },
+  "POST /jobs/:id/retry": { summary: "Re-queue a dead job", tags: ["Jobs"], params: idParams },
+};
+
+module.exports = {
+  ROUTES,
+};
@@ -0,0 +1,134 @@
+// lib/routing.js
+// Decides which tokens get a new-lead push. Rules are evaluated in priority
+// order and their recipients are unioned; a company without rules keeps the
+// original behaviour (ADMIN always, EMPLOYEE with roleExperience "1").
+const RoutingRule = require("../models/RoutingRule");
+
+const DEFAULT_RULES = [
+  {
+    name: "Default: admins and experienced employees",
+    enabled: true,
+    priority: 0,
+    conditions: [],
+    recipients: [{ role: "ADMIN" }, { role: "EMPLOYEE", roleExperience: "1" }],
+    stop: false,
+  },
+];
+
+function normalize(value) {
+  return String(value ?? "").trim().toLowerCase();
+}
+
+function toList(value) {
+  return (Array.isArray(value) ? value : [value]).map(normalize);
+}
+
+function matchesCondition(condition, lead) {
+  const actual = lead[condition.field];
+  const { op = "eq", value } = condition;
+
+  switch (op) {
+    case "exists":
+      return value === false
+        ? actual === undefined || actual === null || actual === ""
+        : actual !== undefined && actual !== null && actual !== "";
+    case "eq":
+      return normalize(actual) === normalize(value);
+    case "ne":
+      return normalize(actual) !== normalize(value);
+    case "in":
+      return toList(value).includes(normalize(actual));
+    case "nin":
+      return !toList(value).includes(normalize(actual));
+    case "contains":
+      return normalize(actual).includes(normalize(value));
+    case "gte":
+    case "lte": {
+      const number = Number(actual);
+      const limit = Number(value);
+      if (!Number.isFinite(number) || !Number.isFinite(limit)) return false;
+      return op === "gte" ? number >= limit : number <= limit;
+    }
+    default:
+      return false;
+  }
+}
+
+function ruleMatchesLead(rule, lead) {
+  return (rule.conditions || []).every((condition) => matchesCondition(condition, lead));
+}
+
+function tokenMatchesSelector(token, selector) {
+  const fields = ["role", "userId", "team", "roleExperience"].filter(
+    (field) => selector[field] !== undefined && selector[field] !== null && selector[field] !== ""
+  );
+  if (!fields.length) return false;
+
+  return fields.every((field) => {
+    const actual = field === "roleExperience" ? token.roleExperience || "0" : token[field];
+    return normalize(actual) === normalize(selector[field]);
+  });
+}
+
+// Pure evaluation, shared by live routing and the dry-run endpoint.
+// Returns { targets: [tokenDoc], matchedRules: [name], selectors: [selector],
+//           reasons: Map(token -> [ruleName]) }
+function evaluateRules(rules, lead, tokens) {
+  const ordered = rules
+    .filter((rule) => rule.enabled !== false)
+    .sort((a, b) => (a.priority ?? 100) - (b.priority ?? 100));
+
+  const reasons = new Map();
+  const matchedRules = [];
+  const selectors = [];
+
+  for (const rule of ordered) {
+    if (!ruleMatchesLead(rule, lead)) continue;
+    matchedRules.push(rule.name);
+    selectors.push(...(rule.recipients || []));
+
+    tokens.forEach((token) => {
+      if (!token?.token) return;
+      if (!(rule.recipients || []).some((selector) => tokenMatchesSelector(token, selector))) return;
+      if (!reasons.has(token.token)) reasons.set(token.token, []);
+      reasons.get(token.token).push(rule.name);
+    });
+
+    if (rule.stop) break;
+  }
+
+  const targets = tokens.filter((token) => token?.token && reasons.has(token.token));
+  return { targets, matchedRules, selectors, reasons };
+}
+
+async function loadRules(companyId) {
+  const rules = await RoutingRule.find({ companyId: String(companyId) }).lean();
+  return rules.length ? rules : DEFAULT_RULES;
+}
+
+// One entry per user: who would be notified, on how many devices, and why
+function summarizeRecipients({ targets, reasons }) {
+  const users = new Map();
+  targets.forEach((token) => {
+    const entry = users.get(token.userId) || {
+      userId: token.userId,
+      role: token.role,
+      team: token.team || "",
+      devices: 0,
+      rules: new Set(),
+    };
+    entry.devices += 1;
+    reasons.get(token.token).forEach((name) => entry.rules.add(name));
+    users.set(token.userId, entry);
+  });
+
+  return Array.from(users.values()).map((entry) => ({ ...entry, rules: Array.from(entry.rules) }));
+}
+
+module.exports = {
+  DEFAULT_RULES,
+  evaluateRules,
+  tokenMatchesSelector,
+  loadRules,
+  summarizeRecipients,
+};
@@ -0,0 +1,167 @@
+// lib/scheduler.js
+// Follow-up notifications for a future time, optionally repeating. Each
+// occurrence is a SCHEDULED_NOTIFICATION job on the queue (see server.js),
+// so schedules survive restarts without a separate timer loop.
+const ScheduledNotification = require("../models/ScheduledNotification");
+const Token = require("../models/Token");
+const jobQueue = require("./jobQueue");
+const { tokenMatchesSelector } = require("./routing");
+
+const MIN_INTERVAL_MINUTES = 5;
+
+async function enqueueOccurrence(schedule) {
+  await jobQueue.enqueue(
+    "SCHEDULED_NOTIFICATION",
+    {
+      scheduleId: String(schedule._id),
+      companyId: schedule.companyId,
+      version: schedule.version,
+      sendAt: schedule.sendAt,
+    },
+    { runAt: schedule.sendAt }
+  );
+}
+
+function validateRepeat(repeat = {}) {
+  const interval = Number(repeat.intervalMinutes || 0);
+  if (interval && interval < MIN_INTERVAL_MINUTES) {
+    const error = new Error(`repeat.intervalMinutes must be at least ${MIN_INTERVAL_MINUTES}`);
+    error.name = "ValidationError";
+    throw error;
+  }
+}
+
+async function createSchedule(companyId, fields, createdBy = "") {
+  validateRepeat(fields.repeat);
+
+  const schedule = await ScheduledNotification.create({
+    companyId: String(companyId),
+    leadId: fields.leadId ? String(fields.leadId) : "",
+    title: fields.title,
+    body: fields.body,
+    data: fields.data || {},
+    target: fields.target || {},
+    sendAt: fields.sendAt,
+    repeat: fields.repeat || {},
+    stopWhenContacted: !!fields.stopWhenContacted,
+    createdBy,
+  });
+
+  await enqueueOccurrence(schedule);
+  return schedule.toObject();
+}
+
+async function listSchedules(companyId, { leadId, status, userId } = {}) {
+  const query = { companyId: String(companyId) };
+  if (leadId) query.leadId = String(leadId);
+  if (status) query.status = String(status);
+  if (userId) query.$or = [{ createdBy: String(userId) }, { "target.userIds": String(userId) }];
+
+  return ScheduledNotification.find(query).sort({ sendAt: 1 }).limit(500).lean();
+}
+
+// Move the next occurrence (and optionally the repeat settings). Jobs queued
+// for the old time see a stale version and do nothing.
+async function reschedule(companyId, query, { sendAt, repeat }) {
+  if (repeat) validateRepeat(repeat);
+
+  const schedules = await ScheduledNotification.find({
+    ...query,
+    companyId: String(companyId),
+    status: "scheduled",
+  });
+
+  for (const schedule of schedules) {
+    schedule.sendAt = sendAt;
+    if (repeat) schedule.repeat = { ...schedule.repeat.toObject(), ...repeat };
+    schedule.version += 1;
+    await schedule.save();
+    await enqueueOccurrence(schedule);
+  }
+
+  return schedules.map((schedule) => schedule.toObject());
+}
+
+async function cancelSchedules(companyId, query, reason = "cancelled") {
+  const result = await ScheduledNotification.updateMany(
+    { ...query, companyId: String(companyId), status: "scheduled" },
+    { $set: { status: "cancelled", cancelReason: reason }, $inc: { version: 1 } }
+  );
+  return result.modifiedCount;
+}
+
+function nextOccurrence(schedule, sendCount) {
+  const { intervalMinutes, until, maxOccurrences } = schedule.repeat || {};
+  if (!intervalMinutes) return null;
+  if (maxOccurrences && sendCount >= maxOccurrences) return null;
+
+  // Step from the planned time, not from when the job happened to run
+  let next = new Date(schedule.sendAt.getTime() + intervalMinutes * 60 * 1000);
+  while (next <= new Date()) {
+    next = new Date(next.getTime() + intervalMinutes * 60 * 1000);
+  }
+
+  if (until && next > until) return null;
+  return next;
+}
+
+// Queues the next occurrence and marks this one as sent. Returns the
+// schedule as it was when claimed, or null if it was cancelled, rescheduled
+// or already handled (e.g. this job is a retry: sendAt has moved on).
+// `sendAt` is the occurrence's planned time; jobs queued before it was part
+// of the payload skip that check.
+async function claimOccurrence(scheduleId, version, sendAt) {
+  const schedule = await ScheduledNotification.findById(scheduleId).lean();
+  if (!schedule || schedule.status !== "scheduled" || schedule.version !== version) return null;
+  if (sendAt && new Date(sendAt).getTime() !== schedule.sendAt.getTime()) return null;
+
+  const sendCount = schedule.sendCount + 1;
+  const next = nextOccurrence(schedule, sendCount);
+
+  // Next occurrence first: if queueing fails, this job is retried and can
+  // still claim. A spare job left by losing the claim below finds sendAt
+  // moved on and does nothing.
+  if (next) await enqueueOccurrence({ ...schedule, sendAt: next });
+
+  const $set = { sendCount, lastSentAt: new Date() };
+  if (next) {
+    $set.sendAt = next;
+  } else {
+    $set.status = "completed";
+  }
+
+  const claimed = await ScheduledNotification.findOneAndUpdate(
+    { _id: scheduleId, version, sendCount: schedule.sendCount, status: "scheduled" },
+    { $set },
+    { returnDocument: "after" }
+  ).lean();
+  return claimed ? schedule : null;
+}
+
+// Users the schedule is aimed at, resolved at send time. Roles and teams
+// match case-insensitively, like routing rules.
+async function resolveRecipients(schedule) {
+  const { userIds = [], roles = [], teams = [] } = schedule.target || {};
+  const recipients = new Set(userIds.map(String));
+
+  const selectors = [...roles.map((role) => ({ role })), ...teams.map((team) => ({ team }))];
+  if (selectors.length) {
+    const tokens = await Token.find({ companyId: schedule.companyId, enabled: true })
+      .select("userId role team")
+      .lean();
+    tokens
+      .filter((token) => selectors.some((selector) => tokenMatchesSelector(token, selector)))
+      .forEach((token) => recipients.add(String(token.userId)));
+  }
+
+  return Array.from(recipients);
+}
+
+module.exports = {
+  createSchedule,
+  listSchedules,
+  reschedule,
+  cancelSchedules,
+  claimOccurrence,
+  resolveRecipients,
+};
@@ -0,0 +1,85 @@
+// lib/sseParser.js
+// Incremental text/event-stream parser following the WHATWG SSE spec:
+// CRLF / LF / CR line endings, multi-line `data:`, `event:`, `id:`, `retry:`
+// and `:` comments. Feed it decoded text; it calls onEvent / onRetry.
+function createSSEParser({ onEvent, onRetry, lastEventId = "" }) {
+  let buffer = "";
+  let data = [];
+  let eventType = "";
+  let currentId = lastEventId;
+  let sawCR = false;
+
+  function dispatch() {
+    if (!data.length) {
+      eventType = "";
+      return;
+    }
+
+    const event = {
+      type: eventType || "message",
+      data: data.join("\n"),
+      id: currentId,
+    };
+    data = [];
+    eventType = "";
+    onEvent(event);
+  }
+
+  function processLine(line) {
+    if (line === "") return dispatch();
+    if (line.startsWith(":")) return; // comment / heartbeat
+
+    const colon = line.indexOf(":");
+    const field = colon === -1 ? line : line.slice(0, colon);
+    let value = colon === -1 ? "" : line.slice(colon + 1);
+    if (value.startsWith(" ")) value = value.slice(1);
+
+    switch (field) {
+      case "data":
+        data.push(value);
+        break;
+      case "event":
+        eventType = value;
+        break;
+      case "id":
+        if (!value.includes("\0")) currentId = value;
+        break;
+      case "retry":
+        if (/^\d+$/.test(value) && onRetry) onRetry(parseInt(value, 10));
+        break;
+      default:
+        break; // unknown fields are ignored
+    }
+  }
+
+  function feed(text) {
+    buffer += text;
+
+    let start = 0;
+    for (let i = 0; i < buffer.length; i++) {
+      const ch = buffer[i];
+      if (ch === "\n" && sawCR) {
+        // second half of a CRLF already handled
+        sawCR = false;
+        start = i + 1;
+        continue;
+      }
+      sawCR = false;
+      if (ch === "\r" || ch === "\n") {
+        processLine(buffer.slice(start, i));
+        sawCR = ch === "\r";
+        start = i + 1;
+      }
+    }
+    buffer = buffer.slice(start);
+  }
+
+  return {
+    feed,
+    get lastEventId() {
+      return currentId;
+    },
+  };
+}
+
+module.exports = { createSSEParser };
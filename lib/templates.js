@@ -0,0 +1,142 @@
+// lib/templates.js
+// Notification wording per type, company and locale. Lookup order:
+// company + exact locale, company + language ("hi" for "hi-in"), company +
+// "en", then the built-in default below.
+const NotificationTemplate = require("../models/NotificationTemplate");
+
+const FALLBACK_LOCALE = "en";
+const CACHE_TTL = 60 * 1000; // 1 minute
+
+const DEFAULT_TEMPLATES = {
+  NEW_LEAD: {
+    title: "🔥 New Lead — {{source}}",
+    body: "{{leadName}}",
+  },
+  LEAD_ASSIGNED: {
+    title: "🎯 Lead Assigned to You",
+    body: "{{leadName}} has been assigned to you by {{assignedBy}}",
+  },
+  LEAD_ASSIGN_REMINDER: {
+    title: "📥 New Lead Assigned",
+    body: "Open Catination to check your newly assigned lead.",
+  },
+  LEAD_ESCALATED: {
+    title: "⏰ Lead Not Picked Up",
+    body: "{{leadName}} was assigned to {{assignee}} {{minutes}} min ago and hasn't been accepted",
+  },
+  LEAD_DIGEST: {
+    title: "🔥 {{count}} New Leads",
+    body: "{{count}} new leads from {{sources}} in the last {{minutes}} minutes",
+  },
+};
+
+const TEMPLATE_TYPES = Object.keys(DEFAULT_TEMPLATES);
+
+// companyId -> { ts, templates: Map("TYPE:locale" -> template) }
+const cache = new Map();
+
+function normalizeLocale(locale) {
+  const value = String(locale || "").trim().toLowerCase().replace(/_/g, "-");
+  return /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/.test(value) ? value : "";
+}
+
+// First language of an Accept-Language header
+function localeFromHeader(header) {
+  return normalizeLocale(String(header || "").split(",")[0].split(";")[0]);
+}
+
+function renderString(template, vars = {}) {
+  return String(template).replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, name) => {
+    const value = vars[name];
+    return value === undefined || value === null ? "" : String(value);
+  });
+}
+
+async function loadCompanyTemplates(companyId) {
+  const key = String(companyId);
+  const cached = cache.get(key);
+  if (cached && Date.now() - cached.ts < CACHE_TTL) return cached.templates;
+
+  const docs = await NotificationTemplate.find({ companyId: key }).lean();
+  const templates = new Map(docs.map((doc) => [`${doc.type}:${doc.locale}`, doc]));
+  cache.set(key, { ts: Date.now(), templates });
+  return templates;
+}
+
+function localeCandidates(locale) {
+  const normalized = normalizeLocale(locale);
+  const candidates = [];
+  if (normalized) {
+    candidates.push(normalized);
+    const language = normalized.split("-")[0];
+    if (language !== normalized) candidates.push(language);
+  }
+  if (!candidates.includes(FALLBACK_LOCALE)) candidates.push(FALLBACK_LOCALE);
+  return candidates;
+}
+
+// Returns { title, body, locale, source: "company" | "default" } unrendered
+async function resolveTemplate(type, companyId, locale) {
+  if (companyId) {
+    try {
+      const templates = await loadCompanyTemplates(companyId);
+      for (const candidate of localeCandidates(locale)) {
+        const doc = templates.get(`${type}:${candidate}`);
+        if (doc) return { title: doc.title, body: doc.body, locale: candidate, source: "company" };
+      }
+    } catch (error) {
+      // Never block a push on a template lookup
+      console.error("Template lookup error:", error.message);
+    }
+  }
+
+  const fallback = DEFAULT_TEMPLATES[type];
+  return { title: fallback.title, body: fallback.body, locale: FALLBACK_LOCALE, source: "default" };
+}
+
+async function renderNotification(type, companyId, locale, vars) {
+  const template = await resolveTemplate(type, companyId, locale);
+  return {
+    ...template,
+    title: renderString(template.title, vars),
+    body: renderString(template.body, vars),
+  };
+}
+
+async function listTemplates(companyId) {
+  return NotificationTemplate.find({ companyId: String(companyId) })
+    .sort({ type: 1, locale: 1 })
+    .lean();
+}
+
+async function saveTemplate(companyId, type, locale, { title, body }) {
+  const doc = await NotificationTemplate.findOneAndUpdate(
+    { companyId: String(companyId), type, locale: normalizeLocale(locale) },
+    { $set: { title, body } },
+    { upsert: true, runValidators: true, returnDocument: "after" }
+  ).lean();
+  cache.delete(String(companyId));
+  return doc;
+}
+
+async function deleteTemplate(companyId, type, locale) {
+  const result = await NotificationTemplate.deleteOne({
+    companyId: String(companyId),
+    type,
+    locale: normalizeLocale(locale),
+  });
+  cache.delete(String(companyId));
+  return result.deletedCount > 0;
+}
+
+module.exports = {
+  TEMPLATE_TYPES,
+  DEFAULT_TEMPLATES,
+  normalizeLocale,
+  localeFromHeader,
+  renderString,
+  renderNotification,
+  listTemplates,
+  saveTemplate,
+  deleteTemplate,
+};
@@ -0,0 +1,118 @@
+// lib/throttle.js
+// Per-user burst limit for new-lead pushes. Each user gets at most
+// maxPerWindow lead pushes per fixed window; later leads in the window are
+// bundled and sent as one LEAD_DIGEST push when the window ends (the
+// LEAD_DIGEST job, see server.js). Leads are counted by id, so a retried
+// LEAD_EVENT job doesn't count (or bundle) the same lead twice.
+const crypto = require("crypto");
+const ThrottleWindow = require("../models/ThrottleWindow");
+const jobQueue = require("./jobQueue");
+
+const MINUTE = 60 * 1000;
+const MAX_DIGEST_LEADS = 200; // keeps the digest's data payload small
+const KEEP_AFTER_WINDOW = 24 * 60 * MINUTE; // for inspection, then TTL
+
+// The lead's 1-based position among the window's leads; the same on a retry
+async function countLead(filter, leadKey, windowStart, windowMinutes) {
+  const update = {
+    $addToSet: { leadIds: leadKey },
+    $setOnInsert: {
+      windowMinutes,
+      expiresAt: new Date(windowStart.getTime() + windowMinutes * MINUTE + KEEP_AFTER_WINDOW),
+    },
+  };
+
+  let before;
+  try {
+    before = await ThrottleWindow.findOneAndUpdate(filter, update, { upsert: true, returnDocument: "before" }).lean();
+  } catch (error) {
+    // Two leads opened the same window at once; the other insert won
+    if (error.code !== 11000) throw error;
+    before = await ThrottleWindow.findOneAndUpdate(filter, update, { returnDocument: "before" }).lean();
+  }
+
+  const seen = before?.leadIds || [];
+  return seen.includes(leadKey) ? seen.indexOf(leadKey) + 1 : seen.length + 1;
+}
+
+// Splits new-lead tokens by whether their owner is still under the limit.
+// Returns { allowed: [tokenDoc], digested: [userId] }; digested users get
+// the lead in their window's digest.
+async function applyThrottle(companyId, tokenDocs, lead, { enabled, maxPerWindow, windowMinutes }) {
+  if (!enabled || !tokenDocs.length) return { allowed: tokenDocs, digested: [] };
+
+  const windowMs = windowMinutes * MINUTE;
+  const windowStart = new Date(Math.floor(Date.now() / windowMs) * windowMs);
+  const userIds = Array.from(new Set(tokenDocs.map((doc) => doc.userId)));
+  const overLimit = new Set();
+  // Leads without an id can't be recognised on a retry
+  const leadKey = lead.leadId ? String(lead.leadId) : `anonymous:${crypto.randomUUID()}`;
+
+  for (const userId of userIds) {
+    const filter = { companyId: String(companyId), userId: String(userId), windowStart };
+    const position = await countLead(filter, leadKey, windowStart, windowMinutes);
+    if (position <= maxPerWindow) continue;
+
+    overLimit.add(userId);
+    await ThrottleWindow.updateOne(filter, { $max: { digestCount: position - maxPerWindow } });
+    await ThrottleWindow.updateOne(
+      lead.leadId ? { ...filter, "digestLeads.leadId": { $ne: leadKey } } : filter,
+      {
+        $push: {
+          digestLeads: {
+            $each: [{
+              leadId: String(lead.leadId || ""),
+              leadName: String(lead.leadName || lead.name || ""),
+              source: String(lead.source || ""),
+              at: new Date(),
+            }],
+            $slice: MAX_DIGEST_LEADS,
+          },
+        },
+      }
+    );
+
+    // The first lead over the limit schedules the window's digest. A retry
+    // may queue it twice; loadDigest skips a window already sent.
+    if (position === maxPerWindow + 1) {
+      const window = await ThrottleWindow.findOne(filter).select("_id").lean();
+      await jobQueue.enqueue(
+        "LEAD_DIGEST",
+        { companyId: String(companyId), userId, windowId: String(window._id) },
+        { runAt: new Date(windowStart.getTime() + windowMs) }
+      );
+    }
+  }
+
+  return {
+    allowed: tokenDocs.filter((doc) => !overLimit.has(doc.userId)),
+    digested: Array.from(overLimit),
+  };
+}
+
+// The window's bundled leads and how to word them
+async function loadDigest(windowId) {
+  const window = await ThrottleWindow.findById(windowId).lean();
+  if (!window?.digestLeads.length || window.digestSentAt) return null;
+
+  const sources = Array.from(new Set(window.digestLeads.map((lead) => lead.source).filter(Boolean)));
+  return {
+    window,
+    leads: window.digestLeads,
+    vars: {
+      count: window.digestCount || window.digestLeads.length,
+      sources: sources.length ? sources.join(", ") : "all sources",
+      minutes: window.windowMinutes,
+    },
+  };
+}
+
+async function markDigestSent(windowId) {
+  await ThrottleWindow.updateOne({ _id: windowId }, { $set: { digestSentAt: new Date() } });
+}
+
+module.exports = {
+  applyThrottle,
+  loadDigest,
+  markDigestSent,
+};
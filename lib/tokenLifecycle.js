@@ -0,0 +1,153 @@
+// lib/tokenLifecycle.js
+// Housekeeping for registered devices, run periodically by the
+// TOKEN_LIFECYCLE job (see server.js):
+//  - tokens not seen for TOKEN_STALE_DAYS are disabled
+//  - enabled tokens are checked with an FCM dry-run send every
+//    TOKEN_VALIDATE_DAYS; ones FCM rejects are disabled
+//  - disabled tokens leave their topics right away, so company and role
+//    topic messages stop reaching them
+//  - tokens disabled for TOKEN_PURGE_DAYS are deleted, once the topic
+//    reconciliation has unsubscribed them
+const Token = require("../models/Token");
+const { tokensPruned } = require("./metrics");
+const { syncTopics } = require("./topics");
+
+const DAY = 24 * 60 * 60 * 1000;
+const STALE_DAYS = parseInt(process.env.TOKEN_STALE_DAYS, 10) || 60;
+const PURGE_DAYS = parseInt(process.env.TOKEN_PURGE_DAYS, 10) || 90;
+const VALIDATE_DAYS = parseInt(process.env.TOKEN_VALIDATE_DAYS, 10) || 7;
+const VALIDATE_BATCH = 500; // sendEachForMulticast limit
+const MAX_VALIDATE_BATCHES = 20; // per run, to bound FCM calls
+
+const INVALID_TOKEN_ERRORS = new Set([
+  "messaging/invalid-registration-token",
+  "messaging/registration-token-not-registered",
+]);
+
+function daysAgo(days, now = new Date()) {
+  return new Date(now.getTime() - days * DAY);
+}
+
+// Disables `docs` ({ _id, token, topics }) and unsubscribes them from their
+// topics. A failed unsubscribe is left to the topic reconciliation.
+async function disableTokens(messaging, docs, reason, now) {
+  if (!docs.length) return 0;
+
+  const result = await Token.updateMany(
+    { _id: { $in: docs.map((doc) => doc._id) }, enabled: true },
+    { $set: { enabled: false, disabledAt: now, disabledReason: reason } }
+  );
+  tokensPruned.inc({ reason }, result.modifiedCount);
+
+  const subscribed = docs.filter((doc) => doc.topics?.length);
+  if (subscribed.length) {
+    try {
+      await syncTopics(messaging, subscribed, { removeAll: true });
+    } catch (error) {
+      console.error("Topic unsubscribe error:", error.message);
+    }
+  }
+  return result.modifiedCount;
+}
+
+async function disableStaleTokens(messaging, { staleDays = STALE_DAYS, now = new Date() } = {}) {
+  const docs = await Token.find({ enabled: true, lastSeen: { $lt: daysAgo(staleDays, now) } })
+    .select("token topics")
+    .lean();
+  return disableTokens(messaging, docs, "stale", now);
+}
+
+// Disabled before disabledAt was recorded: fall back to the last update
+async function purgeDisabledTokens({ purgeDays = PURGE_DAYS, now = new Date() } = {}) {
+  const cutoff = daysAgo(purgeDays, now);
+  const result = await Token.deleteMany({
+    enabled: false,
+    "topics.0": { $exists: false },
+    $or: [
+      { disabledAt: { $lt: cutoff } },
+      { disabledAt: null, updatedAt: { $lt: cutoff } },
+    ],
+  });
+  tokensPruned.inc({ reason: "purged" }, result.deletedCount);
+  return result.deletedCount;
+}
+
+// Dry-run sends (nothing reaches the device) to tokens not validated
+// recently. Returns { checked, invalid }.
+async function validateTokens(messaging, { validateDays = VALIDATE_DAYS, now = new Date() } = {}) {
+  const totals = { checked: 0, invalid: 0 };
+
+  for (let i = 0; i < MAX_VALIDATE_BATCHES; i++) {
+    const docs = await Token.find({
+      enabled: true,
+      $or: [{ lastValidatedAt: null }, { lastValidatedAt: { $lt: daysAgo(validateDays, now) } }],
+    })
+      .sort({ lastValidatedAt: 1 })
+      .limit(VALIDATE_BATCH)
+      .select("token topics")
+      .lean();
+    if (!docs.length) break;
+
+    const tokens = docs.map((doc) => doc.token);
+    const result = await messaging.sendEachForMulticast(
+      { tokens, data: { type: "VALIDATE" } },
+      true // dry run
+    );
+
+    const invalid = docs.filter((doc, index) => {
+      const response = result.responses[index];
+      return !response.success && INVALID_TOKEN_ERRORS.has(response.error?.code);
+    });
+
+    await Token.updateMany({ token: { $in: tokens } }, { $set: { lastValidatedAt: now } });
+    await disableTokens(messaging, invalid, "invalid", now);
+
+    totals.checked += tokens.length;
+    totals.invalid += invalid.length;
+    if (docs.length < VALIDATE_BATCH) break;
+  }
+
+  return totals;
+}
+
+async function runTokenLifecycle(messaging, now = new Date()) {
+  const disabled = await disableStaleTokens(messaging, { now });
+  const validation = await validateTokens(messaging, { now });
+  const purged = await purgeDisabledTokens({ now });
+  return { disabled, ...validation, purged };
+}
+
+// Device list for the admin API; the raw token is never returned
+function publicDevice(doc) {
+  return {
+    id: doc._id,
+    tokenPrefix: `${String(doc.token).slice(0, 12)}…`,
+    role: doc.role,
+    roleExperience: doc.roleExperience,
+    team: doc.team,
+    locale: doc.locale,
+    enabled: doc.enabled,
+    disabledAt: doc.disabledAt || null,
+    disabledReason: doc.disabledReason || "",
+    clientInfo: doc.clientInfo || {},
+    lastSeen: doc.lastSeen,
+    lastValidatedAt: doc.lastValidatedAt || null,
+    createdAt: doc.createdAt,
+  };
+}
+
+async function listDevices(companyId, userId) {
+  const docs = await Token.find({ companyId: String(companyId), userId: String(userId) })
+    .sort({ lastSeen: -1 })
+    .lean();
+  return docs.map(publicDevice);
+}
+
+module.exports = {
+  disableStaleTokens,
+  purgeDisabledTokens,
+  validateTokens,
+  runTokenLifecycle,
+  publicDevice,
+  listDevices,
+};
@@ -0,0 +1,231 @@
+// lib/topics.js
+// FCM topic fan-out. Every enabled token is subscribed to topics derived
+// from its company, role, experience, team and locale:
+//   company.<id>                       every device
+//   company.<id>.role.<role>
+//   company.<id>.role.<role>.exp.<n>
+//   company.<id>.team.<team>
+//   company.<id>.locale.<locale>       ("default" when unset)
+// A lead whose recipients can be written as a condition over these topics
+// goes out as one message per locale instead of thousands of token sends.
+// The topics each token is subscribed to are recorded on it (Token.topics),
+// so registration, logout and the reconciliation job only send the diff.
+const Token = require("../models/Token");
+const { tokensPruned } = require("./metrics");
+
+const SUBSCRIBE_BATCH = 1000; // FCM limit per subscribeToTopic call
+const MAX_CONDITION_TOPICS = 5; // FCM limit per condition
+const DEAD_TOKEN_ERRORS = new Set([
+  "messaging/invalid-registration-token",
+  "messaging/registration-token-not-registered",
+]);
+
+// Topic names allow [a-zA-Z0-9-_.~%]; anything else is percent-encoded.
+// "." separates parts, so it is encoded inside a part.
+function segment(value) {
+  return Array.from(Buffer.from(String(value ?? "").trim(), "utf8"))
+    .map((byte) => {
+      const ch = String.fromCharCode(byte);
+      return /[a-zA-Z0-9\-_~]/.test(ch) ? ch : `%${byte.toString(16).padStart(2, "0")}`;
+    })
+    .join("");
+}
+
+// Role / team / locale match case-insensitively, like routing rules
+function topicName(companyId, ...parts) {
+  return ["company", segment(companyId), ...parts.map((part) => segment(String(part).toLowerCase()))].join(".");
+}
+
+function localeTopic(companyId, locale) {
+  return topicName(companyId, "locale", locale || "default");
+}
+
+// The topics a token should be subscribed to right now
+function topicsFor(token) {
+  if (!token.enabled) return [];
+
+  const { companyId } = token;
+  const topics = [topicName(companyId)];
+  if (token.role) {
+    topics.push(topicName(companyId, "role", token.role));
+    topics.push(topicName(companyId, "role", token.role, "exp", token.roleExperience || "0"));
+  }
+  if (token.team) topics.push(topicName(companyId, "team", token.team));
+  topics.push(localeTopic(companyId, token.locale));
+  return topics;
+}
+
+function sameTopics(a = [], b = []) {
+  return a.length === b.length && a.every((topic) => b.includes(topic));
+}
+
+function inSync(token) {
+  return sameTopics(topicsFor(token), token.topics);
+}
+
+// A routing selector (see lib/routing.js) as topics that must all match,
+// [] for a selector that matches nobody, or null when topics can't express
+// it (a single user, or experience without a role). { all: true } is the
+// whole company (broadcasts).
+function selectorTopics(companyId, selector) {
+  const has = (field) => selector[field] !== undefined && selector[field] !== null && selector[field] !== "";
+
+  if (selector.all) return [topicName(companyId)];
+  if (has("userId")) return null;
+  if (has("roleExperience") && !has("role")) return null;
+
+  const topics = [];
+  if (has("role")) {
+    topics.push(has("roleExperience")
+      ? topicName(companyId, "role", selector.role, "exp", selector.roleExperience)
+      : topicName(companyId, "role", selector.role));
+  }
+  if (has("team")) topics.push(topicName(companyId, "team", selector.team));
+  return topics;
+}
+
+// One FCM condition per locale that reaches exactly the given tokens, or
+// null when that isn't possible and the caller should send per token:
+// a selector topics can't express, too many topics, or a token whose
+// subscriptions haven't been synced yet.
+// Returns Map(locale -> condition).
+function topicConditions(companyId, selectors, tokens) {
+  if (!tokens.length || !tokens.every(inSync)) return null;
+
+  const clauses = [];
+  for (const selector of selectors) {
+    const topics = selectorTopics(companyId, selector);
+    if (topics === null) return null;
+    if (topics.length && !clauses.some((clause) => sameTopics(clause, topics))) clauses.push(topics);
+  }
+  if (!clauses.length) return null;
+
+  const distinct = new Set(clauses.flat());
+  if (distinct.size + 1 > MAX_CONDITION_TOPICS) return null;
+
+  const audience = clauses
+    .map((clause) => clause.map((topic) => `'${topic}' in topics`).join(" && "))
+    .map((expr, _, all) => (all.length > 1 && expr.includes("&&") ? `(${expr})` : expr))
+    .join(" || ");
+
+  const conditions = new Map();
+  tokens.forEach((token) => {
+    const locale = token.locale || "";
+    if (conditions.has(locale)) return;
+    conditions.set(locale, `(${audience}) && '${localeTopic(companyId, locale)}' in topics`);
+  });
+  return conditions;
+}
+
+// Topic messages also reach disabled tokens still subscribed (their
+// unsubscribe failed or hasn't run yet), so a company with any of those
+// is sent per token until the reconciliation has caught up
+async function fanoutConditions(companyId, selectors, tokens) {
+  const lingering = await Token.exists({
+    companyId: String(companyId),
+    enabled: false,
+    "topics.0": { $exists: true },
+  });
+  return lingering ? null : topicConditions(companyId, selectors, tokens);
+}
+
+// Brings FCM subscriptions in line with what each token should have and
+// records the result on the token. `removeAll` unsubscribes everything
+// (tokens about to be deleted). Tokens whose call failed keep their old
+// record and are picked up by the next reconciliation; tokens FCM reports
+// as dead are deleted.
+async function syncTopics(messaging, tokenDocs, { removeAll = false } = {}) {
+  const desired = new Map();
+  const operations = new Map(); // "subscribe|topic" -> [token]
+  const queue = (action, topic, token) => {
+    const key = `${action}|${topic}`;
+    if (!operations.has(key)) operations.set(key, []);
+    operations.get(key).push(token);
+  };
+
+  tokenDocs.forEach((doc) => {
+    const want = removeAll ? [] : topicsFor(doc);
+    const have = doc.topics || [];
+    desired.set(doc.token, want);
+    want.filter((topic) => !have.includes(topic)).forEach((topic) => queue("subscribe", topic, doc.token));
+    have.filter((topic) => !want.includes(topic)).forEach((topic) => queue("unsubscribe", topic, doc.token));
+  });
+
+  const failed = new Set();
+  const dead = new Set();
+  const counts = { subscribed: 0, unsubscribed: 0 };
+
+  for (const [key, tokens] of operations) {
+    const [action, topic] = key.split("|");
+    for (let i = 0; i < tokens.length; i += SUBSCRIBE_BATCH) {
+      const batch = tokens.slice(i, i + SUBSCRIBE_BATCH);
+      try {
+        const response = action === "subscribe"
+          ? await messaging.subscribeToTopic(batch, topic)
+          : await messaging.unsubscribeFromTopic(batch, topic);
+        counts[`${action}d`] += response.successCount || 0;
+        (response.errors || []).forEach(({ index, error }) => {
+          (DEAD_TOKEN_ERRORS.has(error?.code) ? dead : failed).add(batch[index]);
+        });
+      } catch (error) {
+        console.error(`Topic ${action} error (${topic}):`, error.message);
+        batch.forEach((token) => failed.add(token));
+      }
+    }
+  }
+
+  const writes = tokenDocs
+    .filter((doc) => !failed.has(doc.token) && !dead.has(doc.token))
+    .filter((doc) => !sameTopics(desired.get(doc.token), doc.topics))
+    .map((doc) => ({
+      updateOne: { filter: { token: doc.token }, update: { $set: { topics: desired.get(doc.token) } } },
+    }));
+  if (writes.length) await Token.bulkWrite(writes, { ordered: false });
+  if (dead.size) {
+    await Token.deleteMany({ token: { $in: Array.from(dead) } });
+    tokensPruned.inc({ reason: "invalid" }, dead.size);
+  }
+
+  return { ...counts, failed: failed.size, removed: dead.size };
+}
+
+// Re-syncs every token (optionally one company's) whose recorded topics
+// differ from what it should have.
+async function reconcileTopics(messaging, { companyId } = {}) {
+  const query = { $or: [{ enabled: true }, { "topics.0": { $exists: true } }] };
+  if (companyId) query.companyId = String(companyId);
+
+  const totals = { checked: 0, outOfSync: 0, subscribed: 0, unsubscribed: 0, failed: 0, removed: 0 };
+  let batch = [];
+
+  const flush = async () => {
+    const stale = batch.filter((doc) => !inSync(doc));
+    batch = [];
+    if (!stale.length) return;
+    totals.outOfSync += stale.length;
+    const result = await syncTopics(messaging, stale);
+    ["subscribed", "unsubscribed", "failed", "removed"].forEach((key) => { totals[key] += result[key]; });
+  };
+
+  const cursor = Token.find(query)
+    .select("token companyId role roleExperience team locale enabled topics")
+    .lean()
+    .cursor();
+  for await (const doc of cursor) {
+    totals.checked += 1;
+    batch.push(doc);
+    if (batch.length >= SUBSCRIBE_BATCH) await flush();
+  }
+  await flush();
+
+  return totals;
+}
+
+module.exports = {
+  topicName,
+  topicsFor,
+  topicConditions,
+  fanoutConditions,
+  syncTopics,
+  reconcileTopics,
+};
@@ -0,0 +1,219 @@
+// lib/validation.js
+// Request validation against the per-route schemas in lib/routeSchemas.js,
+// and the one error format every route answers with:
+//   { success: false, code, message, details?: [{ field, code, message }] }
+// Schemas are a JSON Schema subset (the same objects go into /openapi.json):
+// type (one or a list), properties, required, additionalProperties (false
+// or a schema), items, minItems, maxItems, minLength, maxLength, enum, minimum,
+// maximum, pattern and format (date-time, uri, email).
+const http = require("http");
+
+const STATUS_CODES = {
+  400: "bad_request",
+  401: "unauthorized",
+  403: "forbidden",
+  404: "not_found",
+  409: "conflict",
+  413: "payload_too_large",
+  429: "rate_limited",
+  500: "internal_error",
+  502: "upstream_failed",
+  503: "unavailable",
+};
+
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function codeForStatus(status) {
+  return STATUS_CODES[status] || (status >= 500 ? "internal_error" : "bad_request");
+}
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number") return Number.isInteger(value) ? "integer" : "number";
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === "number" && actual === "integer");
+}
+
+// Query strings arrive as text; numbers and booleans are compared as such
+function coerceQueryValue(value, types) {
+  if (typeof value !== "string") return value;
+  if ((types.includes("integer") || types.includes("number")) && value.trim() !== "" && !isNaN(Number(value))) {
+    return Number(value);
+  }
+  if (types.includes("boolean") && (value === "true" || value === "false")) return value === "true";
+  return value;
+}
+
+function checkFormat(value, format) {
+  if (typeof value !== "string") return true;
+  if (format === "date-time") return !isNaN(Date.parse(value));
+  if (format === "email") return EMAIL.test(value);
+  if (format === "uri") {
+    try {
+      new URL(value);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+  return true;
+}
+
+// Collects every problem instead of stopping at the first one
+function validateValue(schema, value, field, errors, { coerce = false } = {}) {
+  if (!schema) return;
+  const fail = (code, message) => errors.push({ field, code, message });
+
+  if (value === undefined) return;
+
+  const types = [].concat(schema.type || []);
+  if (coerce && types.length) value = coerceQueryValue(value, types);
+  if (types.length && !types.some((type) => matchesType(value, type))) {
+    return fail("type", `must be ${types.join(" or ")}`);
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return fail("enum", `must be one of ${schema.enum.join(", ")}`);
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail(schema.minLength === 1 ? "required" : "min_length", schema.minLength === 1
+        ? "must not be empty"
+        : `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail("max_length", `must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) fail("pattern", "has an invalid format");
+    if (schema.format && !checkFormat(value, schema.format)) fail("format", `must be a valid ${schema.format}`);
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) fail("minimum", `must be at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail("maximum", `must be at most ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      // Don't walk an oversized array item by item
+      return fail("max_items", `must have at most ${schema.maxItems} items`);
+    }
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail("min_items", `must have at least ${schema.minItems} item${schema.minItems === 1 ? "" : "s"}`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => validateValue(schema.items, item, `${field}[${index}]`, errors));
+    }
+  }
+
+  if (typeOf(value) === "object") {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach((key) => {
+      if (value[key] === undefined || value[key] === null || value[key] === "") {
+        errors.push({ field: `${field}.${key}`, code: "required", message: "is required" });
+      }
+    });
+    Object.keys(value).forEach((key) => {
+      if (properties[key]) {
+        // Optional fields may be sent as null, meaning "not set"
+        if (value[key] === null && !(schema.required || []).includes(key)) return;
+        validateValue(properties[key], value[key], `${field}.${key}`, errors, { coerce });
+      } else if (schema.additionalProperties === false) {
+        errors.push({ field: `${field}.${key}`, code: "unknown_field", message: "is not allowed" });
+      } else if (typeof schema.additionalProperties === "object") {
+        validateValue(schema.additionalProperties, value[key], `${field}.${key}`, errors);
+      }
+    });
+  }
+}
+
+// Errors for one request against a route spec ({ params, query, body })
+function validateRequest(spec, req) {
+  const errors = [];
+  if (spec.params) validateValue(spec.params, req.params || {}, "params", errors, { coerce: true });
+  if (spec.query) validateValue(spec.query, req.query || {}, "query", errors, { coerce: true });
+  if (spec.body) {
+    const body = req.body === undefined ? {} : req.body;
+    validateValue(spec.body, body, "body", errors);
+  }
+  return errors;
+}
+
+function sendError(res, status, message, { code, details } = {}) {
+  return res.status(status).json({
+    success: false,
+    code: code || codeForStatus(status),
+    message,
+    ...(details && details.length ? { details } : {}),
+  });
+}
+
+// Rejects the request with field-level details before the handler runs
+function validate(spec) {
+  return (req, res, next) => {
+    const details = validateRequest(spec, req);
+    if (!details.length) return next();
+    return sendError(res, 400, `Invalid request: ${details[0].field} ${details[0].message}`, {
+      code: "validation_failed",
+      details,
+    });
+  };
+}
+
+// Gives every error body a machine-readable code (from the status unless the
+// route set one), so handlers keep answering { success: false, message }.
+function errorFormat(req, res, next) {
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 400 && body && body.success === false && !body.code) {
+      const { success, message, ...rest } = body;
+      body = {
+        success,
+        code: codeForStatus(res.statusCode),
+        message: message || http.STATUS_CODES[res.statusCode] || "Error",
+        ...rest,
+      };
+    }
+    return json(body);
+  };
+  next();
+}
+
+// Last middlewares: unknown routes, malformed JSON, oversized bodies and
+// anything a route let escape
+function notFound(req, res) {
+  sendError(res, 404, `No route for ${req.method} ${req.path}`);
+}
+
+// Express tells error handlers apart by their four parameters
+function errorHandler(error, req, res, next) {
+  if (error.type === "entity.parse.failed") {
+    return sendError(res, 400, "Request body is not valid JSON", { code: "invalid_json" });
+  }
+  if (error.type === "entity.too.large") {
+    return sendError(res, 413, "Request body is too large");
+  }
+  if (error.status && error.status >= 400 && error.status < 500) {
+    return sendError(res, error.status, error.message);
+  }
+
+  console.error("Unhandled route error:", error.message);
+  if (res.headersSent) return res.end();
+  return sendError(res, 500, "Internal server error");
+}
+
+module.exports = {
+  codeForStatus,
+  validateRequest,
+  validate,
+  sendError,
+  errorFormat,
+  notFound,
+  errorHandler,
+};
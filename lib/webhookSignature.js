@@ -0,0 +1,44 @@
+// lib/webhookSignature.js
+// Inbound webhooks sign `${timestamp}.${rawBody}` with HMAC-SHA256 using the
+// company's webhook secret:
+//   X-Catination-Timestamp: 1760000000
+//   X-Catination-Signature: sha256=<hex>
+const crypto = require("crypto");
+
+const TOLERANCE_SECONDS = parseInt(process.env.WEBHOOK_TOLERANCE_SECONDS, 10) || 300;
+
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(32).toString("hex")}`;
+}
+
+function sign(secret, timestamp, rawBody) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${rawBody}`)
+    .digest("hex");
+}
+
+// Returns null when valid, otherwise a short reason
+function verifySignature({ secret, timestamp, signature, rawBody, now = Date.now() }) {
+  if (!secret) return "no-secret";
+  if (!timestamp || !signature) return "missing-signature";
+
+  const ts = Number(timestamp);
+  if (!Number.isInteger(ts)) return "bad-timestamp";
+  if (Math.abs(Math.floor(now / 1000) - ts) > TOLERANCE_SECONDS) return "stale-timestamp";
+
+  const expected = Buffer.from(sign(secret, ts, rawBody), "hex");
+  const provided = Buffer.from(String(signature).replace(/^sha256=/, ""), "hex");
+  if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+    return "bad-signature";
+  }
+
+  return null;
+}
+
+module.exports = {
+  TOLERANCE_SECONDS,
+  generateSecret,
+  sign,
+  verifySignature,
+};
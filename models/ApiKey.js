@@ -0,0 +1,17 @@
+// models/ApiKey.js
+const mongoose = require("mongoose");
+
+const ApiKeySchema = new mongoose.Schema(
+  {
+    companyId: { type: String, required: true, index: true },
+    keyHash: { type: String, required: true, unique: true }, // sha256 of the raw key
+    prefix: { type: String, required: true }, // first characters, to tell keys apart
+    label: { type: String, default: "" },
+    revokedAt: { type: Date, default: null },
+    expiresAt: { type: Date, default: null }, // set on the old key during rotation
+    lastUsedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("ApiKey", ApiKeySchema);
@@ -0,0 +1,20 @@
+// models/AssignmentRotation.js
+const mongoose = require("mongoose");
+
+// Round-robin position per company and pool ("all" or "team:<team>")
+const AssignmentRotationSchema = new mongoose.Schema(
+  {
+    companyId: { type: String, required: true },
+    pool: { type: String, required: true },
+    lastUserId: { type: String, default: "" },
+    lastAssignedAt: { type: Date, default: null },
+    assignments: { type: Number, default: 0 },
+    // Bumped on every move so two workers can't both take the same turn
+    version: { type: Number, default: 0 },
+  },
+  { timestamps: true }
+);
+
+AssignmentRotationSchema.index({ companyId: 1, pool: 1 }, { unique: true });
+
+module.exports = mongoose.model("AssignmentRotation", AssignmentRotationSchema);
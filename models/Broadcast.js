@@ -0,0 +1,43 @@
+// models/Broadcast.js
+const mongoose = require("mongoose");
+
+const BroadcastSchema = new mongoose.Schema(
+  {
+    companyId: { type: String, required: true, index: true },
+    title: { type: String, required: true, maxlength: 200 },
+    body: { type: String, required: true, maxlength: 1000 },
+    link: { type: String, default: "", maxlength: 2000 }, // deep link opened on tap
+    // Audience: everyone, or the union of role (optionally one experience
+    // level) and explicit users
+    audience: {
+      all: { type: Boolean, default: false },
+      roles: { type: [String], default: [] },
+      roleExperience: { type: String, default: "" },
+      userIds: { type: [String], default: [] },
+    },
+    sendAt: { type: Date, required: true, index: true },
+    status: {
+      type: String,
+      enum: ["scheduled", "sending", "sent", "cancelled", "failed"],
+      default: "scheduled",
+      index: true,
+    },
+    // Filled in when sent
+    notificationId: { type: String, default: "" },
+    fanout: { type: String, default: "" }, // "topics" or "tokens"
+    stats: {
+      users: { type: Number, default: 0 },
+      devices: { type: Number, default: 0 },
+      muted: { type: Number, default: 0 },
+      held: { type: Number, default: 0 },
+    },
+    sentAt: { type: Date, default: null },
+    error: { type: String, default: "" },
+    createdBy: { type: String, default: "" },
+  },
+  { timestamps: true }
+);
+
+BroadcastSchema.index({ companyId: 1, createdAt: -1 });
+
+module.exports = mongoose.model("Broadcast", BroadcastSchema);
@@ -0,0 +1,75 @@
+// models/CompanySettings.js
+const mongoose = require("mongoose");
+
+// Channel order for one notification type (see lib/channels.js)
+const DeliveryRuleSchema = new mongoose.Schema(
+  {
+    channels: { type: [{ type: String, enum: ["push", "email", "sms", "webhook"] }], default: ["push"] },
+    fallbackOn: { type: String, enum: ["not-delivered", "always"], default: "not-delivered" },
+  },
+  { _id: false }
+);
+
+// Android channel / sound / vibrate pattern for one notification type
+const TypeBrandingSchema = new mongoose.Schema(
+  {
+    channelId: { type: String, default: "" },
+    sound: { type: String, default: "" },
+    vibrate: { type: [Number], default: undefined },
+  },
+  { _id: false }
+);
+
+const CompanySettingsSchema = new mongoose.Schema(
+  {
+    companyId: { type: String, required: true, unique: true, index: true },
+    deviceMode: { type: String, enum: ["single", "multi"], default: "multi" },
+    maxDevicesPerUser: { type: Number, default: 5, min: 1, max: 50 },
+    dedupeWindowSeconds: { type: Number, default: 60, min: 1, max: 7 * 24 * 60 * 60 },
+    webhookSecret: { type: String, default: "", select: false }, // signs POST /events/lead
+    outboundWebhookUrl: { type: String, default: "" }, // webhook delivery channel
+    outboundWebhookSecret: { type: String, default: "", select: false }, // signs what we send there
+    // Company-wide lead pushes as FCM topic conditions (lib/topics.js)
+    topicFanout: {
+      enabled: { type: Boolean, default: false },
+      minDevices: { type: Number, default: 500, min: 1 }, // smaller audiences are sent per token
+    },
+    // Per-user new-lead rate limit; leads over it are bundled into a digest
+    throttle: {
+      enabled: { type: Boolean, default: false },
+      maxPerWindow: { type: Number, default: 5, min: 1 },
+      windowMinutes: { type: Number, default: 5, min: 1, max: 24 * 60 },
+    },
+    // Pick an assignee for every new lead (lib/autoAssign.js)
+    autoAssign: {
+      enabled: { type: Boolean, default: false },
+      strategy: { type: String, enum: ["round-robin", "least-open", "source-team"], default: "round-robin" },
+      roles: { type: [String], default: ["EMPLOYEE"] }, // who can be assigned; [] = anyone
+      sourceTeams: { type: Map, of: String, default: {} }, // lead source -> team, for source-team
+      openLeadHours: { type: Number, default: 72, min: 1 }, // older assignments don't count as open
+    },
+    // Look of the company's pushes (lib/branding.js); empty = Catination defaults
+    branding: {
+      iconUrl: { type: String, default: "" },
+      badgeUrl: { type: String, default: "" }, // webpush monochrome badge
+      clickDomain: { type: String, default: "" }, // web notifications open here
+      types: { type: Map, of: TypeBrandingSchema, default: {} }, // keyed by notification type
+    },
+    // Browser origins CORS allows on top of the built-in list
+    allowedOrigins: { type: [String], default: [], index: true },
+    // Keyed by notification type, or "default"
+    delivery: { type: Map, of: DeliveryRuleSchema, default: {} },
+    // Re-push / escalate assignments nobody has accepted
+    escalation: {
+      enabled: { type: Boolean, default: false },
+      repushAfterMinutes: { type: Number, default: 10, min: 1 },
+      escalateAfterMinutes: { type: Number, default: 30, min: 1 }, // counted from the assignment
+      escalateTo: { type: String, enum: ["admins", "backup"], default: "admins" },
+      backupUserId: { type: String, default: "" },
+      markForReassignment: { type: Boolean, default: false },
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("CompanySettings", CompanySettingsSchema);
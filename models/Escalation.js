@@ -0,0 +1,36 @@
+// models/Escalation.js
+const mongoose = require("mongoose");
+
+const EscalationStepSchema = new mongoose.Schema(
+  {
+    step: { type: String, enum: ["repush", "escalate", "reassignment"], required: true },
+    at: { type: Date, default: Date.now },
+    detail: { type: String, default: "" }, // e.g. who was notified
+  },
+  { _id: false }
+);
+
+// One per assignment while it waits to be accepted
+const EscalationSchema = new mongoose.Schema(
+  {
+    companyId: { type: String, required: true, index: true },
+    leadId: { type: String, required: true, index: true },
+    assignee: { type: String, required: true, index: true },
+    leadData: { type: mongoose.Schema.Types.Mixed, default: {} },
+    policy: { type: mongoose.Schema.Types.Mixed, default: {} }, // snapshot at assignment time
+    status: {
+      type: String,
+      enum: ["active", "accepted", "completed", "cancelled"],
+      default: "active",
+      index: true,
+    },
+    steps: { type: [EscalationStepSchema], default: [] },
+    needsReassignment: { type: Boolean, default: false, index: true },
+    resolvedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+EscalationSchema.index({ companyId: 1, leadId: 1, status: 1 });
+
+module.exports = mongoose.model("Escalation", EscalationSchema);
@@ -0,0 +1,20 @@
+// models/EventClaim.js
+const mongoose = require("mongoose");
+
+// One document per processed event; the unique key makes the claim atomic
+// across instances and the TTL index clears it once the dedupe window ends.
+const EventClaimSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, unique: true }, // companyId:eventType:leadId
+    companyId: { type: String, required: true },
+    eventType: { type: String, required: true },
+    leadId: { type: String, required: true },
+    claimedBy: { type: String, default: "" },
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+EventClaimSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("EventClaim", EventClaimSchema);
@@ -0,0 +1,30 @@
+// models/InboxItem.js
+const mongoose = require("mongoose");
+
+const RETENTION_DAYS = parseInt(process.env.INBOX_RETENTION_DAYS, 10) || 90;
+
+// One notification as a user saw it, kept after the push is swiped away
+const InboxItemSchema = new mongoose.Schema(
+  {
+    companyId: { type: String, required: true },
+    userId: { type: String, required: true },
+    type: { type: String, required: true },
+    notificationId: { type: String, default: "" }, // the push's id (acks, NotificationLog)
+    leadId: { type: String, default: "" },
+    title: { type: String, default: "" },
+    body: { type: String, default: "" },
+    data: { type: mongoose.Schema.Types.Mixed, default: {} }, // the push's data payload
+    readAt: { type: Date, default: null },
+    expiresAt: {
+      type: Date,
+      default: () => new Date(Date.now() + RETENTION_DAYS * 24 * 60 * 60 * 1000),
+    },
+  },
+  { timestamps: true }
+);
+
+InboxItemSchema.index({ companyId: 1, userId: 1, createdAt: -1 });
+InboxItemSchema.index({ companyId: 1, userId: 1, readAt: 1 });
+InboxItemSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("InboxItem", InboxItemSchema);
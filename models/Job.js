@@ -0,0 +1,30 @@
+// models/Job.js
+const mongoose = require("mongoose");
+
+const JobSchema = new mongoose.Schema(
+  {
+    type: { type: String, required: true, index: true }, // e.g. LEAD_ASSIGNED
+    payload: { type: mongoose.Schema.Types.Mixed, default: {} },
+    status: {
+      type: String,
+      enum: ["pending", "running", "done", "dead"],
+      default: "pending",
+      index: true,
+    },
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: 5 },
+    runAt: { type: Date, default: Date.now, index: true },
+    lockedAt: { type: Date, default: null },
+    lockedBy: { type: String, default: "" },
+    lastError: { type: String, default: "" },
+    result: { type: mongoose.Schema.Types.Mixed, default: null },
+    completedAt: { type: Date, default: undefined }, // only set for "done"; drives the TTL below
+  },
+  { timestamps: true }
+);
+
+JobSchema.index({ status: 1, runAt: 1 });
+// Finished jobs are kept for a week; dead jobs stay until someone looks at them
+JobSchema.index({ completedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+module.exports = mongoose.model("Job", JobSchema);
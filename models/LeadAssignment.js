@@ -0,0 +1,42 @@
+// models/LeadAssignment.js
+const mongoose = require("mongoose");
+
+// One auto-assignment decision (lib/autoAssign.js)
+const LeadAssignmentSchema = new mongoose.Schema(
+  {
+    companyId: { type: String, required: true, index: true },
+    leadId: { type: String, default: "" },
+    source: { type: String, default: "" },
+    strategy: { type: String, enum: ["round-robin", "least-open", "source-team"], required: true },
+    team: { type: String, default: "" }, // source-team: the team the source mapped to
+    fallback: { type: Boolean, default: false }, // source-team: nobody eligible in the team
+    assignee: { type: String, default: "" }, // "" when nobody was eligible
+    candidates: { type: Number, default: 0 },
+    skipped: {
+      type: [
+        {
+          _id: false,
+          userId: String,
+          reason: { type: String, enum: ["quiet-hours", "muted"] },
+        },
+      ],
+      default: [],
+    },
+    // Open until the lead is contacted or reassigned; least-open counts these
+    status: { type: String, enum: ["open", "closed", "unassigned"], default: "open" },
+    notifiedAt: { type: Date, default: null }, // assignment push queued
+    closedAt: { type: Date, default: null },
+    closeReason: { type: String, default: "" }, // contacted / reassigned
+  },
+  { timestamps: true }
+);
+
+// A lead is auto-assigned at most once
+LeadAssignmentSchema.index(
+  { companyId: 1, leadId: 1 },
+  { unique: true, partialFilterExpression: { leadId: { $gt: "" } } }
+);
+LeadAssignmentSchema.index({ companyId: 1, assignee: 1, status: 1 });
+LeadAssignmentSchema.index({ companyId: 1, createdAt: -1 });
+
+module.exports = mongoose.model("LeadAssignment", LeadAssignmentSchema);
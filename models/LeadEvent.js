@@ -0,0 +1,24 @@
+// models/LeadEvent.js
+const mongoose = require("mongoose");
+
+// An inbound lead event (webhook) and what the pipeline did with it
+const LeadEventSchema = new mongoose.Schema(
+  {
+    eventId: { type: String, required: true, unique: true },
+    companyId: { type: String, required: true, index: true },
+    source: { type: String, default: "webhook" },
+    leadId: { type: String, default: "", index: true },
+    payload: { type: mongoose.Schema.Types.Mixed, default: {} },
+    status: {
+      type: String,
+      enum: ["received", "processed", "duplicate", "no-recipients", "ignored", "failed"],
+      default: "received",
+    },
+    outcome: { type: mongoose.Schema.Types.Mixed, default: null },
+    error: { type: String, default: "" },
+    processedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("LeadEvent", LeadEventSchema);
@@ -0,0 +1,26 @@
+// models/NotificationAck.js
+const mongoose = require("mongoose");
+
+// Client-reported lifecycle of a push: one document per notification, user
+// and status, so repeated reports are harmless.
+const NotificationAckSchema = new mongoose.Schema(
+  {
+    notificationId: { type: mongoose.Schema.Types.ObjectId, required: true, index: true }, // NotificationLog _id
+    companyId: { type: String, required: true, index: true },
+    userId: { type: String, required: true, index: true },
+    leadId: { type: String, default: "", index: true },
+    type: { type: String, default: "" }, // notification type, copied from the log
+    status: {
+      type: String,
+      required: true,
+      enum: ["delivered", "opened", "accepted", "dismissed"],
+    },
+    token: { type: String, default: "" }, // device that reported it
+    at: { type: Date, default: Date.now },
+  },
+  { timestamps: true }
+);
+
+NotificationAckSchema.index({ notificationId: 1, userId: 1, status: 1 }, { unique: true });
+
+module.exports = mongoose.model("NotificationAck", NotificationAckSchema);
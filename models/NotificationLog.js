@@ -0,0 +1,39 @@
+// models/NotificationLog.js
+const mongoose = require("mongoose");
+
+const DeliveryResultSchema = new mongoose.Schema(
+  {
+    channel: { type: String, enum: ["push", "topic", "email", "sms", "webhook"], default: "push" },
+    token: { type: String, default: "" }, // or the topic condition / email / phone / URL
+    userId: { type: String, default: "" },
+    success: { type: Boolean, default: false },
+    messageId: { type: String, default: "" },
+    errorCode: { type: String, default: "" }, // e.g. messaging/registration-token-not-registered
+  },
+  { _id: false }
+);
+
+const NotificationLogSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      required: true,
+      enum: ["NEW_LEAD", "LEAD_ASSIGNED", "LEAD_ASSIGN_REMINDER", "FOLLOW_UP", "LEAD_ESCALATED", "LEAD_DIGEST", "BROADCAST"],
+      index: true,
+    },
+    companyId: { type: String, required: true, index: true },
+    userIds: { type: [String], default: [], index: true }, // recipients
+    leadId: { type: String, default: "", index: true },
+    tokenCount: { type: Number, default: 0 },
+    successCount: { type: Number, default: 0 },
+    failureCount: { type: Number, default: 0 },
+    results: { type: [DeliveryResultSchema], default: [] },
+    error: { type: String, default: "" }, // set when nothing could be sent at all
+    sentAt: { type: Date, default: Date.now, index: true },
+  },
+  { timestamps: true }
+);
+
+NotificationLogSchema.index({ companyId: 1, sentAt: -1 });
+
+module.exports = mongoose.model("NotificationLog", NotificationLogSchema);
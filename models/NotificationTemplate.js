@@ -0,0 +1,21 @@
+// models/NotificationTemplate.js
+const mongoose = require("mongoose");
+
+const NotificationTemplateSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      required: true,
+      enum: ["NEW_LEAD", "LEAD_ASSIGNED", "LEAD_ASSIGN_REMINDER", "LEAD_ESCALATED", "LEAD_DIGEST"],
+    },
+    companyId: { type: String, required: true, index: true },
+    locale: { type: String, required: true, lowercase: true, trim: true }, // e.g. "en", "hi", "ar-ae"
+    title: { type: String, required: true, maxlength: 200 },
+    body: { type: String, required: true, maxlength: 1000 },
+  },
+  { timestamps: true }
+);
+
+NotificationTemplateSchema.index({ type: 1, companyId: 1, locale: 1 }, { unique: true });
+
+module.exports = mongoose.model("NotificationTemplate", NotificationTemplateSchema);
@@ -0,0 +1,45 @@
+// models/RoutingRule.js
+const mongoose = require("mongoose");
+
+// All conditions must match the lead payload for the rule to apply
+const ConditionSchema = new mongoose.Schema(
+  {
+    field: { type: String, required: true }, // lead field, e.g. "source", "city", "budget"
+    op: {
+      type: String,
+      enum: ["eq", "ne", "in", "nin", "contains", "gte", "lte", "exists"],
+      default: "eq",
+    },
+    value: { type: mongoose.Schema.Types.Mixed },
+  },
+  { _id: false }
+);
+
+// A token is picked if it matches every field set on at least one selector
+const RecipientSchema = new mongoose.Schema(
+  {
+    role: { type: String },
+    userId: { type: String },
+    team: { type: String },
+    roleExperience: { type: String },
+  },
+  { _id: false }
+);
+
+const RoutingRuleSchema = new mongoose.Schema(
+  {
+    companyId: { type: String, required: true, index: true },
+    name: { type: String, required: true },
+    enabled: { type: Boolean, default: true },
+    priority: { type: Number, default: 100 }, // lower runs first
+    conditions: { type: [ConditionSchema], default: [] },
+    recipients: {
+      type: [RecipientSchema],
+      validate: [(v) => v.length > 0, "At least one recipient selector is required"],
+    },
+    stop: { type: Boolean, default: false }, // skip lower-priority rules once this one matches
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("RoutingRule", RoutingRuleSchema);
@@ -0,0 +1,40 @@
+// models/ScheduledNotification.js
+const mongoose = require("mongoose");
+
+const ScheduledNotificationSchema = new mongoose.Schema(
+  {
+    companyId: { type: String, required: true, index: true },
+    leadId: { type: String, default: "", index: true },
+    title: { type: String, required: true, maxlength: 200 },
+    body: { type: String, required: true, maxlength: 1000 },
+    data: { type: mongoose.Schema.Types.Mixed, default: {} }, // extra FCM data fields
+    // Audience: explicit users and/or everyone with a role / team
+    target: {
+      userIds: { type: [String], default: [] },
+      roles: { type: [String], default: [] },
+      teams: { type: [String], default: [] },
+    },
+    sendAt: { type: Date, required: true, index: true }, // next occurrence
+    repeat: {
+      intervalMinutes: { type: Number, default: 0, min: 0 }, // 0 = one-off; 1440 = daily
+      until: { type: Date, default: null },
+      maxOccurrences: { type: Number, default: 0, min: 0 }, // 0 = no limit
+    },
+    stopWhenContacted: { type: Boolean, default: false }, // "until the lead is contacted"
+    status: {
+      type: String,
+      enum: ["scheduled", "completed", "cancelled"],
+      default: "scheduled",
+      index: true,
+    },
+    // Bumped on every reschedule so jobs queued for the old time are ignored
+    version: { type: Number, default: 0 },
+    sendCount: { type: Number, default: 0 },
+    lastSentAt: { type: Date, default: null },
+    cancelReason: { type: String, default: "" },
+    createdBy: { type: String, default: "" },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("ScheduledNotification", ScheduledNotificationSchema);
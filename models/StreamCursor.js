@@ -0,0 +1,14 @@
+// models/StreamCursor.js
+const mongoose = require("mongoose");
+
+// Last event id seen on an inbound SSE stream, sent back as Last-Event-ID
+const StreamCursorSchema = new mongoose.Schema(
+  {
+    stream: { type: String, required: true, unique: true }, // hash of the stream URL
+    lastEventId: { type: String, default: "" },
+    lastEventAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("StreamCursor", StreamCursorSchema);
@@ -0,0 +1,35 @@
+// models/ThrottleWindow.js
+const mongoose = require("mongoose");
+
+// New-lead pushes to one user in one fixed window. Leads past the limit are
+// kept here until the window's digest goes out.
+const ThrottleWindowSchema = new mongoose.Schema(
+  {
+    companyId: { type: String, required: true },
+    userId: { type: String, required: true },
+    windowStart: { type: Date, required: true },
+    windowMinutes: { type: Number, required: true },
+    leadIds: { type: [String], default: [] }, // every lead, sent or bundled, in arrival order
+    digestCount: { type: Number, default: 0 }, // bundled; digestLeads keeps the first 200
+    digestLeads: {
+      type: [
+        {
+          leadId: { type: String, default: "" },
+          leadName: { type: String, default: "" },
+          source: { type: String, default: "" },
+          at: { type: Date, default: Date.now },
+          _id: false,
+        },
+      ],
+      default: [],
+    },
+    digestSentAt: { type: Date, default: null },
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+ThrottleWindowSchema.index({ companyId: 1, userId: 1, windowStart: 1 }, { unique: true });
+ThrottleWindowSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("ThrottleWindow", ThrottleWindowSchema);
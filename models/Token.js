@@ -8,9 +8,15 @@ const TokenSchema = new mongoose.Schema(
     companyId: { type: String, required: true, index: true },
     role: { type: String, default: "" }, // ADMIN / EMPLOYEE / etc
     roleExperience: { type: String, default: "0" }, // e.g. "1" to get SSE leads
+    team: { type: String, default: "" }, // e.g. "digital"; used by routing rules
+    locale: { type: String, default: "" }, // e.g. "hi", "ar-ae"; picks the template language
     enabled: { type: Boolean, default: true },
+    disabledAt: { type: Date, default: null },
+    disabledReason: { type: String, default: "" }, // logout / stale / invalid
+    topics: { type: [String], default: [] }, // FCM topics it is subscribed to (lib/topics.js)
     clientInfo: { type: mongoose.Schema.Types.Mixed, default: {} },
-    lastSeen: { type: Date, default: Date.now },
+    lastSeen: { type: Date, default: Date.now }, // registration or acknowledgement
+    lastValidatedAt: { type: Date, default: null }, // last FCM dry-run check
   },
   { timestamps: true }
 );
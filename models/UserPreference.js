@@ -0,0 +1,45 @@
+// models/UserPreference.js
+const mongoose = require("mongoose");
+
+const HH_MM = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+function isValidTimeZone(tz) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+const UserPreferenceSchema = new mongoose.Schema(
+  {
+    companyId: { type: String, required: true, index: true },
+    userId: { type: String, required: true, index: true },
+    mutedTypes: {
+      type: [String],
+      enum: ["NEW_LEAD", "LEAD_ASSIGNED", "LEAD_ASSIGN_REMINDER", "FOLLOW_UP", "LEAD_ESCALATED", "LEAD_DIGEST", "BROADCAST"],
+      default: [],
+    },
+    mutedSources: { type: [String], default: [] }, // lead sources, e.g. "Facebook"
+    quietHours: {
+      enabled: { type: Boolean, default: false },
+      start: { type: String, default: "22:00", match: HH_MM }, // local time
+      end: { type: String, default: "07:00", match: HH_MM },
+    },
+    timeZone: {
+      type: String,
+      default: "Asia/Kolkata",
+      validate: [isValidTimeZone, "Unknown time zone"],
+    },
+    criticalOnly: { type: Boolean, default: false },
+    // Fallback channels; email defaults to the userId when it is an address
+    email: { type: String, default: "", trim: true, lowercase: true },
+    phone: { type: String, default: "", trim: true, match: /^$|^\+?[0-9 ()-]{6,20}$/ },
+  },
+  { timestamps: true }
+);
+
+UserPreferenceSchema.index({ companyId: 1, userId: 1 }, { unique: true });
+
+module.exports = mongoose.model("UserPreference", UserPreferenceSchema);
@@ -4,11 +4,125 @@
  */
 
 require("dotenv").config();
+const crypto = require("crypto");
 const express = require("express");
 const cors = require("cors");
 const mongoose = require("mongoose");
-const admin = require("firebase-admin");
 const Token = require("./models/Token");
+const RoutingRule = require("./models/RoutingRule");
+const StreamCursor = require("./models/StreamCursor");
+const LeadEvent = require("./models/LeadEvent");
+const ScheduledNotification = require("./models/ScheduledNotification");
+const Escalation = require("./models/Escalation");
+const NotificationLog = require("./models/NotificationLog");
+const {
+  buildResults,
+  buildFailedResults,
+  logNotification,
+  queryNotifications,
+} = require("./lib/notificationLog");
+const jobQueue = require("./lib/jobQueue");
+const {
+  getCompanySettings,
+  updateCompanySettings,
+  allowedOrigins,
+  getWebhookSecret,
+  rotateWebhookSecret,
+} = require("./lib/companySettings");
+const { buildClientInfo } = require("./lib/clientInfo");
+const { claimEvent, releaseEvent } = require("./lib/dedupe");
+const { createSSEParser } = require("./lib/sseParser");
+const { TOLERANCE_SECONDS, verifySignature } = require("./lib/webhookSignature");
+const {
+  createSchedule,
+  listSchedules,
+  reschedule,
+  cancelSchedules,
+  claimOccurrence,
+  resolveRecipients,
+} = require("./lib/scheduler");
+const {
+  startEscalation,
+  claimStep,
+  releaseStep,
+  updateStepDetail,
+  completeEscalation,
+  acceptEscalations,
+  listEscalations,
+} = require("./lib/escalation");
+const { ACK_STATUSES, recordAck, ackStatusForLead, ackStatusForUser } = require("./lib/acks");
+const {
+  TEMPLATE_TYPES,
+  DEFAULT_TEMPLATES,
+  normalizeLocale,
+  localeFromHeader,
+  renderString,
+  renderNotification,
+  listTemplates,
+  saveTemplate,
+  deleteTemplate,
+} = require("./lib/templates");
+const { evaluateRules, loadRules, summarizeRecipients } = require("./lib/routing");
+const {
+  decide,
+  applyPreferences,
+  getPreferences,
+  updatePreferences,
+} = require("./lib/preferences");
+const { fanoutConditions, syncTopics, reconcileTopics } = require("./lib/topics");
+const metrics = require("./lib/metrics");
+const { applyThrottle, loadDigest, markDigestSent } = require("./lib/throttle");
+const { createMessagingProvider } = require("./lib/messaging");
+const { runTokenLifecycle, publicDevice, listDevices } = require("./lib/tokenLifecycle");
+const {
+  audienceSelectors,
+  audienceTokens,
+  previewAudience,
+  createBroadcast,
+  listBroadcasts,
+  cancelBroadcast,
+  claimBroadcast,
+  finishBroadcast,
+} = require("./lib/broadcasts");
+const Broadcast = require("./models/Broadcast");
+const stream = require("./lib/eventStream");
+const { resolveBranding, clickThrough, TYPE_DEFAULTS } = require("./lib/branding");
+const {
+  addToInbox,
+  removeFromInbox,
+  unreadCounts,
+  unreadCount,
+  listInbox,
+  markRead,
+  withBadge,
+} = require("./lib/inbox");
+const {
+  assignLead,
+  markNotified,
+  closeAssignments,
+  rotationState,
+  listAssignments,
+} = require("./lib/autoAssign");
+const {
+  CHANNELS,
+  deliveryPlan,
+  validateDeliveryRules,
+  sendViaChannel,
+} = require("./lib/channels");
+const {
+  authenticate,
+  requireCompany,
+  requireAdmin,
+  isCompanyAdmin,
+  isSelf,
+  createApiKey,
+  listApiKeys,
+  rotateApiKey,
+  revokeApiKey,
+} = require("./lib/auth");
+const { errorFormat, notFound, errorHandler } = require("./lib/validation");
+const { ROUTES } = require("./lib/routeSchemas");
+const { createApi } = require("./lib/openapi");
 
 // Node fetch polyfill
 if (typeof fetch === "undefined") {
@@ -18,54 +132,74 @@ if (typeof fetch === "undefined") {
 console.log("🚀 Catination Push Server starting...");
 
 const app = express();
-app.use(express.json({ limit: "2mb" }));
+// Every error body carries a code (see lib/validation.js)
+app.use(errorFormat);
+app.use(express.json({
+  limit: "2mb",
+  // Webhook signatures are computed over the exact bytes received
+  verify: (req, res, buf) => { req.rawBody = buf.toString("utf8"); },
+}));
 
 // -------------------- CORS --------------------
+// Built-in origins plus every company's settings.allowedOrigins, so a new
+// customer domain needs no redeploy. An origin a company added only works
+// for that company's callers: see companyOrigin below.
+const CORS_ORIGINS = [
+  "http://localhost:5173",
+  "http://localhost:3000", 
+  "https://app.catination.com",
+  "https://catination.com",
+  "https://notification-catination.onrender.com",
+];
+
 app.use(
   cors({
-    origin: [
-      "http://localhost:5173",
-      "http://localhost:3000", 
-      "https://app.catination.com",
-      "https://catination.com",
-      "https://notification-catination.onrender.com",
-    ],
-    methods: ["GET", "POST", "OPTIONS"],
+    origin: (origin, callback) => {
+      if (!origin || CORS_ORIGINS.includes(origin)) return callback(null, true);
+      allowedOrigins()
+        .then((origins) => callback(null, origins.has(origin)))
+        .catch(() => callback(null, false));
+    },
+    methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
     credentials: true,
   })
 );
 
+// Routes are registered through `api` so each one is validated against its
+// spec in lib/routeSchemas.js and listed in /openapi.json
+const api = createApi(app, ROUTES);
+
 // -------------------- ENV --------------------
 const PORT = process.env.PORT || 3000;
 const MONGO_URI = process.env.MONGO_URI;
 const SSE_URL = process.env.SSE_URL;
 const FIREBASE_JSON = process.env.FIREBASE_SERVICE_ACCOUNT;
+const MESSAGING_MODE = process.env.MESSAGING_MODE || "fcm"; // fcm | dry-run | fake
+const TOPIC_RECONCILE_INTERVAL = (parseInt(process.env.TOPIC_RECONCILE_INTERVAL_MINUTES, 10) || 60) * 60 * 1000;
+const TOKEN_LIFECYCLE_INTERVAL = (parseInt(process.env.TOKEN_LIFECYCLE_INTERVAL_MINUTES, 10) || 6 * 60) * 60 * 1000;
 
 if (!MONGO_URI) {
   console.error("❌ MONGO_URI missing");
   process.exit(1);
 }
-if (!FIREBASE_JSON) {
-  console.error("❌ FIREBASE_SERVICE_ACCOUNT missing");
-  process.exit(1);
-}
 
-// -------------------- Firebase Admin --------------------
-let serviceAccount;
-try {
-  serviceAccount = JSON.parse(FIREBASE_JSON);
-} catch (err) {
-  console.error("❌ Firebase JSON parse error");
-  process.exit(1);
+if (process.env.NODE_ENV === "production" && !process.env.METRICS_TOKEN) {
+  console.warn("⚠ METRICS_TOKEN not set: /metrics is disabled");
 }
 
+// -------------------- Messaging Provider --------------------
+// Real FCM, FCM dry-run or a local fake (lib/messaging.js)
+let messaging;
 try {
-  admin.initializeApp({
-    credential: admin.credential.cert(serviceAccount),
+  messaging = createMessagingProvider({
+    mode: MESSAGING_MODE,
+    serviceAccountJson: FIREBASE_JSON,
+    fakeErrorsJson: process.env.MESSAGING_FAKE_ERRORS,
+    fakeLogFile: process.env.MESSAGING_FAKE_LOG,
   });
-  console.log("✅ Firebase initialized");
+  console.log(`✅ Messaging initialized (${messaging.mode})`);
 } catch (err) {
-  console.error("❌ Firebase init failed");
+  console.error(`❌ Messaging init failed: ${err.message}`);
   process.exit(1);
 }
 
@@ -73,345 +207,1630 @@ try {
 mongoose.set("strictQuery", false);
 mongoose
   .connect(MONGO_URI)
-  .then(() => console.log("✅ MongoDB connected"))
+  .then(() => {
+    console.log("✅ MongoDB connected");
+    jobQueue.startWorker();
+    jobQueue.scheduleRecurring("TOPIC_RECONCILE", TOPIC_RECONCILE_INTERVAL)
+      .catch((err) => console.error("Topic reconcile schedule error:", err.message));
+    jobQueue.scheduleRecurring("TOKEN_LIFECYCLE", TOKEN_LIFECYCLE_INTERVAL)
+      .catch((err) => console.error("Token lifecycle schedule error:", err.message));
+  })
   .catch((err) => {
     console.error("❌ MongoDB connection failed");
     process.exit(1);
   });
 
-// -------------------- Deduplication --------------------
-const recentLeads = new Map();
-const RECENT_LEAD_TTL = 60 * 1000; // 1 minute
+// -------------------- FCM Send Functions --------------------
+// FCM errors worth retrying; the job queue backs off and tries again
+const TRANSIENT_FCM_ERRORS = new Set([
+  "messaging/internal-error",
+  "messaging/server-unavailable",
+  "messaging/unavailable",
+  "messaging/message-rate-exceeded",
+  "messaging/quota-exceeded",
+  "app/network-error",
+  "app/network-timeout",
+]);
+
+function isTransientSendError(error) {
+  if (!error) return false;
+  if (TRANSIENT_FCM_ERRORS.has(error.code)) return true;
+  // Mongo dropped the connection mid-send
+  return /^Mongo(Network|ServerSelection)/.test(error.name || "");
+}
 
-function markLeadProcessed(leadId) {
-  if (leadId) {
-    recentLeads.set(String(leadId), Date.now());
-  }
+// Thrown when nothing was delivered and a retry may help
+function retryableSendError(cause) {
+  const error = new Error(cause?.message || "Transient send failure");
+  error.code = cause?.code || "";
+  error.retryable = true;
+  return error;
 }
 
-function isLeadRecentlyProcessed(leadId) {
-  if (!leadId) return false;
-  const ts = recentLeads.get(String(leadId));
-  if (!ts) return false;
-  return (Date.now() - ts) < RECENT_LEAD_TTL;
+// Multicast one message and drop tokens FCM reports as dead
+async function sendMulticast(message, tokens) {
+  const end = metrics.sendLatency.startTimer({ kind: "multicast" });
+  let result;
+  try {
+    result = await messaging.sendEachForMulticast({
+      ...message,
+      tokens,
+    });
+  } finally {
+    end();
+  }
+
+  // Remove invalid tokens
+  if (result.responses) {
+    result.responses.forEach((response, index) => {
+      if (!response.success) {
+        const error = response.error;
+        if (error?.code === "messaging/invalid-registration-token" || 
+            error?.code === "messaging/registration-token-not-registered") {
+          Token.deleteOne({ token: tokens[index] }).catch(() => {});
+          metrics.tokensPruned.inc({ reason: "invalid" });
+        }
+      }
+    });
+  }
+
+  return result;
 }
 
-// Cleanup every 5 minutes
-setInterval(() => {
-  const now = Date.now();
-  for (const [k, v] of recentLeads) {
-    if (now - v > RECENT_LEAD_TTL) {
-      recentLeads.delete(k);
-    }
+// Logs recipients muted by their preferences and queues held ones to run
+// when their quiet hours end. `jobFor(userId)` returns [jobType, payload].
+async function deferFilteredRecipients({ type, companyId, leadId, muted, held }, jobFor) {
+  if (muted.length) {
+    await logNotification({ type, companyId, leadId, userIds: muted, error: "muted-by-preference" });
   }
-}, 300000);
 
-// -------------------- FCM Send Functions --------------------
-async function sendPushToTokens(data, tokens) {
-  try {
-    const normalized = Array.from(new Set(tokens.filter(Boolean)));
-    if (!normalized.length) return;
+  for (const [userId, runAt] of held) {
+    const [jobType, payload] = jobFor(userId);
+    await jobQueue.enqueue(jobType, payload, { runAt });
+    await logNotification({ type, companyId, leadId, userIds: [userId], error: "held-quiet-hours" });
+    console.log(`🌙 Holding ${type} for ${userId} until ${runAt.toISOString()}`);
+  }
+}
 
-    const leadId = String(data.leadId || "");
-    const leadName = String(data.leadName || data.name || "New Lead");
-    const source = String(data.source || "Lead");
+// Token docs grouped by their registered locale, so each group gets its own wording
+function groupByLocale(tokenDocs) {
+  const groups = new Map();
+  tokenDocs.forEach((doc) => {
+    const locale = doc.locale || "";
+    if (!groups.has(locale)) groups.set(locale, []);
+    groups.get(locale).push(doc);
+  });
+  return groups;
+}
+
+// New-lead push in one locale; `target` is { tokens } or { condition }
+async function buildLeadMessage(data, locale, notificationId) {
+  const companyId = String(data.companyId || data.tenantId || "");
+  const leadId = String(data.leadId || "");
+  const leadName = String(data.leadName || data.name || "New Lead");
+  const source = String(data.source || "Lead");
 
-    const ICON = "https://app.catination.com/catination-app-logo.png";
+  const brand = await brandingFor(companyId, "NEW_LEAD");
+
+  const { title, body } = await renderNotification("NEW_LEAD", companyId, locale, {
+    ...data,
+    leadId,
+    leadName,
+    source,
+  });
 
-    const message = {
+  return {
+    notification: {
+      title,
+      body,
+    },
+    data: {
+      notificationId: String(notificationId),
+      leadId,
+      leadName,
+    },
+    android: {
+      priority: "high",
       notification: {
-        title: `🔥 New Lead — ${source}`,
-        body: leadName,
+        icon: brand.iconUrl,
+        sound: brand.sound,
+        channelId: brand.channelId,
       },
-      data: {
-        leadId,
-        leadName,
-      },
-      android: {
-        priority: "high",
-        notification: {
-          icon: ICON,
-          sound: "default",
-          channelId: "catination_leads",
-        },
-      },
-      apns: {
-        headers: { "apns-priority": "10" },
-        payload: {
-          aps: {
-            alert: { 
-              title: `🔥 New Lead — ${source}`,
-              body: leadName
-            },
-            sound: "default",
+    },
+    apns: {
+      headers: { "apns-priority": "10" },
+      payload: {
+        aps: {
+          alert: { 
+            title,
+            body
           },
+          sound: brand.sound,
         },
       },
-      webpush: {
-        headers: { Urgency: "high" },
-        notification: {
-          icon: ICON,
-          badge: ICON,
-          vibrate: [200, 100, 200],
-          requireInteraction: true,
-          tag: "catination_lead",
-          actions: [
-            { action: "accept", title: "✅ Accept" },
-            { action: "view", title: "👁️ View" }
-          ],
-        },
+    },
+    webpush: {
+      ...clickThrough(brand, `/leads/${leadId}`),
+      headers: { Urgency: "high" },
+      notification: {
+        icon: brand.iconUrl,
+        badge: brand.badgeUrl,
+        vibrate: brand.vibrate,
+        requireInteraction: true,
+        tag: "catination_lead",
+        actions: [
+          { action: "accept", title: "✅ Accept" },
+          { action: "view", title: "👁️ View" }
+        ],
       },
-    };
+    },
+  };
+}
 
-    // Send in batches of 500
-    const batches = [];
-    for (let i = 0; i < normalized.length; i += 500) {
-      batches.push(normalized.slice(i, i + 500));
+// Multicast one locale group in batches of 500; returns log results
+async function sendLeadToTokenGroup(message, group) {
+  const owners = {};
+  group.forEach((doc) => { owners[doc.token] = doc.userId; });
+
+  const tokens = group.map(doc => doc.token);
+  const results = [];
+  for (let i = 0; i < tokens.length; i += 500) {
+    const batch = tokens.slice(i, i + 500);
+    try {
+      const result = await sendMulticast(message, batch);
+      results.push(...buildResults(batch, result, owners));
+    } catch (error) {
+      console.error("FCM batch send error:", error.message);
+      results.push(...buildFailedResults(batch, error, owners));
     }
+  }
+  return results;
+}
 
-    for (const batch of batches) {
-      try {
-        const result = await admin.messaging().sendEachForMulticast({
-          ...message,
-          tokens: batch,
-        });
+// One NEW_LEAD inbox item per user, worded like the push to their first
+// device. `sends` is [[message, tokenDocs]]. Returns Map(userId -> unread
+// count) for badges; empty if the inbox write failed, so pushes still go out.
+async function recordLeadInbox(companyId, leadId, notificationId, sends) {
+  try {
+    const items = new Map();
+    sends.forEach(([message, group]) => group.forEach((doc) => {
+      if (items.has(doc.userId)) return;
+      items.set(doc.userId, {
+        companyId,
+        userId: doc.userId,
+        type: "NEW_LEAD",
+        notificationId: String(notificationId),
+        leadId,
+        title: message.notification.title,
+        body: message.notification.body,
+        data: message.data,
+      });
+    }));
+    if (!items.size) return new Map();
 
-        // Remove invalid tokens
-        if (result.responses) {
-          result.responses.forEach((response, index) => {
-            if (!response.success) {
-              const error = response.error;
-              if (error?.code === "messaging/invalid-registration-token" || 
-                  error?.code === "messaging/registration-token-not-registered") {
-                Token.deleteOne({ token: batch[index] }).catch(() => {});
-              }
-            }
-          });
-        }
-      } catch (error) {
-        console.error("FCM batch send error:", error.message);
+    await addToInbox(Array.from(items.values()));
+    return await unreadCounts(companyId, Array.from(items.keys()));
+  } catch (error) {
+    console.error("Inbox write error:", error.message);
+    return new Map();
+  }
+}
+
+// Same for a push to one user. Returns { ids, badge }; badge is null if the
+// write failed.
+async function recordUserInbox({ type, companyId, userId, leadId }, notificationId, message) {
+  try {
+    const docs = await addToInbox([{
+      companyId,
+      userId,
+      type,
+      notificationId: String(notificationId),
+      leadId,
+      title: message.notification.title,
+      body: message.notification.body,
+      data: message.data,
+    }]);
+    return { ids: docs.map(doc => doc._id), badge: await unreadCount(companyId, userId) };
+  } catch (error) {
+    console.error("Inbox write error:", error.message);
+    return { ids: [], badge: null };
+  }
+}
+
+// `tokenDocs` are Token documents (token, userId, locale)
+async function sendPushToTokens(data, tokenDocs) {
+  try {
+    const seen = new Set();
+    const docs = tokenDocs.filter((doc) => {
+      if (!doc?.token || seen.has(doc.token)) return false;
+      seen.add(doc.token);
+      return true;
+    });
+    if (!docs.length) return;
+
+    const companyId = String(data.companyId || data.tenantId || "");
+    const leadId = String(data.leadId || "");
+
+    // Clients acknowledge against this id (see /notifications/:id/ack)
+    const notificationId = new mongoose.Types.ObjectId();
+    const results = [];
+
+    const sends = [];
+    for (const [locale, group] of groupByLocale(docs)) {
+      sends.push([await buildLeadMessage(data, locale, notificationId), group]);
+    }
+    const badges = await recordLeadInbox(companyId, leadId, notificationId, sends);
+
+    // Devices of users with the same unread count share one multicast
+    for (const [message, group] of sends) {
+      const byBadge = new Map();
+      group.forEach((doc) => {
+        const badge = badges.has(doc.userId) ? badges.get(doc.userId) : null;
+        if (!byBadge.has(badge)) byBadge.set(badge, []);
+        byBadge.get(badge).push(doc);
+      });
+      for (const [badge, badgeGroup] of byBadge) {
+        const badged = badge === null ? message : withBadge(message, badge);
+        results.push(...(await sendLeadToTokenGroup(badged, badgeGroup)));
       }
     }
 
-    console.log(`📱 FCM sent to ${normalized.length} devices for lead ${leadId}`);
+    await logNotification({ notificationId, type: "NEW_LEAD", companyId, leadId, results });
+
+    console.log(`📱 FCM sent to ${docs.length} devices for lead ${leadId}`);
   } catch (error) {
     console.error("FCM send error:", error.message);
   }
 }
 
-// 🆕 FIXED: Send Assignment Notification to Specific Employee (Multi-token support)
-async function sendAssignmentNotification(employeeEmail, leadData, companyId) {
+// Same push as one topic-condition message per locale (see lib/topics.js).
+// `conditions` is Map(locale -> condition); a locale whose topic send fails
+// is sent to its tokens instead.
+async function sendPushToTopics(data, conditions, tokenDocs) {
   try {
-    // Get ALL the employee's FCM tokens (multiple devices)
-    const employeeTokens = await Token.find({ 
-      userId: employeeEmail,
-      companyId: companyId,
-      enabled: true 
-    }).lean();
+    const companyId = String(data.companyId || data.tenantId || "");
+    const leadId = String(data.leadId || "");
+    const notificationId = new mongoose.Types.ObjectId();
+    const byLocale = groupByLocale(tokenDocs);
+    const results = [];
 
-    if (!employeeTokens.length) {
-      console.log(`⚠ No active tokens found for employee: ${employeeEmail}`);
-      return false;
+    const messages = new Map();
+    for (const locale of conditions.keys()) {
+      messages.set(locale, await buildLeadMessage(data, locale, notificationId));
+    }
+    // One topic message can't carry per-user badges; the inbox is still written
+    await recordLeadInbox(
+      companyId,
+      leadId,
+      notificationId,
+      Array.from(messages, ([locale, message]) => [message, byLocale.get(locale) || []])
+    );
+
+    for (const [locale, condition] of conditions) {
+      const message = messages.get(locale);
+      const end = metrics.sendLatency.startTimer({ kind: "topic" });
+      try {
+        const messageId = await messaging.send({ ...message, condition }).finally(end);
+        results.push({ channel: "topic", token: condition, success: true, messageId, errorCode: "" });
+      } catch (error) {
+        console.error(`FCM topic send error (${locale || "default"}):`, error.message);
+        results.push({ channel: "topic", token: condition, success: false, messageId: "", errorCode: error.code || "" });
+        results.push(...(await sendLeadToTokenGroup(message, byLocale.get(locale) || [])));
+      }
     }
 
-    const tokens = employeeTokens.map(token => token.token).filter(Boolean);
-    
-    if (!tokens.length) {
-      console.log(`⚠ No valid tokens for employee: ${employeeEmail}`);
-      return false;
+    await logNotification({
+      notificationId,
+      type: "NEW_LEAD",
+      companyId,
+      leadId,
+      userIds: tokenDocs.map(doc => doc.userId),
+      results,
+    });
+
+    console.log(`📡 FCM topic send to ${tokenDocs.length} devices (${conditions.size} message(s)) for lead ${leadId}`);
+  } catch (error) {
+    console.error("FCM topic send error:", error.message);
+  }
+}
+
+// Push one notification to every enabled device of a single user: token
+// lookup, preferences, one multicast per locale and the notification log.
+// Returns { delivered, reason: "sent" | "no-active-tokens" | "filtered" | "failed", error }.
+async function pushToUser({ type, userId, companyId, leadId = "", payload = {}, buildMessage, requeue }) {
+  // Get ALL the user's FCM tokens (multiple devices)
+  const userTokens = await Token.find({
+    userId,
+    companyId,
+    enabled: true,
+  }).lean();
+
+  const validTokens = userTokens.filter(token => token.token);
+
+  if (!validTokens.length) {
+    console.log(`⚠ No active tokens found for: ${userId}`);
+    await logNotification({
+      type,
+      companyId,
+      leadId,
+      userIds: [userId],
+      error: "no-active-tokens",
+    });
+    return { delivered: false, reason: "no-active-tokens" };
+  }
+
+  // Respect the user's mute / quiet-hours preferences
+  const { allowed, muted, held } = await applyPreferences(companyId, validTokens, type, payload);
+  if (!allowed.length) {
+    await deferFilteredRecipients({ type, companyId, leadId, muted, held }, requeue);
+    return { delivered: false, reason: "filtered" };
+  }
+
+  // Sent in the data payload; clients acknowledge against it
+  const notificationId = new mongoose.Types.ObjectId();
+  const results = [];
+  let transientError = null;
+
+  // One send per locale the user's devices are registered with
+  const sends = [];
+  for (const [locale, group] of groupByLocale(allowed)) {
+    const message = await buildMessage(locale);
+    message.data = { ...message.data, notificationId: String(notificationId) };
+    sends.push([message, group]);
+  }
+  const inbox = await recordUserInbox({ type, companyId, userId, leadId }, notificationId, sends[0][0]);
+
+  for (const [built, group] of sends) {
+    const message = inbox.badge === null ? built : withBadge(built, inbox.badge);
+    const tokens = group.map(doc => doc.token);
+
+    try {
+      const result = await sendMulticast(message, tokens);
+      results.push(...buildResults(tokens, result));
+      const transient = (result.responses || []).find(r => isTransientSendError(r.error));
+      if (transient) transientError = transientError || transient.error;
+    } catch (error) {
+      results.push(...buildFailedResults(tokens, error));
+      if (!isTransientSendError(error)) {
+        await logNotification({
+          notificationId,
+          type,
+          companyId,
+          leadId,
+          userIds: [userId],
+          results,
+          error: error.code || error.message,
+        });
+        return { delivered: false, reason: "failed", error };
+      }
+      transientError = transientError || error;
+    }
+  }
+
+  await logNotification({
+    notificationId,
+    type,
+    companyId,
+    leadId,
+    userIds: [userId],
+    results,
+  });
+
+  const successCount = results.filter(r => r.success).length;
+  console.log(`📨 ${type} pushed to: ${userId} (${successCount}/${results.length} successful)`);
+
+  if (successCount) return { delivered: true, reason: "sent" };
+  // Nothing delivered but FCM may recover: the job queue can retry, and
+  // writes the inbox item again
+  if (transientError) await removeFromInbox(inbox.ids);
+  return {
+    delivered: false,
+    reason: "failed",
+    error: transientError ? retryableSendError(transientError) : null,
+  };
+}
+
+// Mute / quiet-hours check for channels other than push, which has already
+// applied them per device. Returns true when the user may be reached now.
+async function preferencesAllow({ type, userId, companyId, leadId = "", payload = {}, requeue }) {
+  const decision = decide(await getPreferences(companyId, userId), type, payload);
+  if (decision === "send") return true;
+
+  await deferFilteredRecipients({
+    type,
+    companyId,
+    leadId,
+    muted: decision === "mute" ? [userId] : [],
+    held: decision.holdUntil ? new Map([[userId, decision.holdUntil]]) : new Map(),
+  }, requeue);
+  return false;
+}
+
+// Email / SMS / webhook delivery of the same notification push would show
+async function sendToChannel(channel, { type, userId, companyId, leadId = "", buildMessage }, settings) {
+  const [prefs, lastToken] = await Promise.all([
+    getPreferences(companyId, userId),
+    Token.findOne({ userId, companyId }).sort({ updatedAt: -1 }).select("locale").lean(),
+  ]);
+
+  const notificationId = new mongoose.Types.ObjectId();
+  const message = await buildMessage(lastToken?.locale || "");
+  const notification = {
+    id: String(notificationId),
+    type,
+    companyId,
+    userId,
+    leadId,
+    title: message.notification.title,
+    body: message.notification.body,
+    data: { ...message.data, notificationId: String(notificationId) },
+  };
+
+  const target = {
+    email: { to: prefs.email || (String(userId).includes("@") ? String(userId) : "") },
+    sms: { to: prefs.phone },
+    webhook: channel === "webhook"
+      ? { url: settings.outboundWebhookUrl, secret: await getWebhookSecret(companyId, "outbound") }
+      : {},
+  }[channel];
+
+  const result = await sendViaChannel(channel, notification, target);
+  await logNotification({
+    notificationId,
+    type,
+    companyId,
+    leadId,
+    userIds: [userId],
+    results: [{
+      channel,
+      token: result.address,
+      userId,
+      success: result.delivered,
+      messageId: result.messageId,
+      errorCode: result.errorCode,
+    }],
+  });
+
+  console.log(`📨 ${type} via ${channel} to: ${userId} (${result.delivered ? "sent" : result.errorCode})`);
+  return result.delivered;
+}
+
+// Icon, channel, sound and vibrate pattern for one company and type
+async function brandingFor(companyId, type) {
+  return resolveBranding(await getCompanySettings(companyId), type);
+}
+
+// Send one notification to a single user through the company's channels for
+// this type (push only unless configured). Shared by assignment, reminder,
+// follow-up and escalation sends.
+//   buildMessage(locale) -> FCM message (without tokens); other channels use
+//                           its title, body and data
+//   requeue() -> [jobType, payload] to run when the user's quiet hours end
+// Returns true if any channel reached the user. Throws (a retryable error)
+// only when nothing was delivered and FCM may recover; permanent push
+// failures are already logged and return false.
+async function deliverToUser(options) {
+  const { type, companyId } = options;
+  const settings = await getCompanySettings(companyId);
+  const { channels, fallbackOn } = deliveryPlan(settings, type);
+
+  let delivered = false;
+  let pushError = null;
+  let preferencesChecked = false;
+
+  for (const channel of channels) {
+    if (delivered && fallbackOn !== "always") break;
+
+    if (channel === "push") {
+      const outcome = await pushToUser(options);
+      // Muted or held: the user's preferences win over fallbacks
+      if (outcome.reason === "filtered") return delivered;
+      preferencesChecked = preferencesChecked || outcome.reason !== "no-active-tokens";
+      delivered = delivered || outcome.delivered;
+      pushError = pushError || outcome.error || null;
+      continue;
+    }
+
+    if (!preferencesChecked) {
+      if (!(await preferencesAllow(options))) return delivered;
+      preferencesChecked = true;
     }
+    delivered = (await sendToChannel(channel, options, settings)) || delivered;
+  }
+
+  if (!delivered && pushError?.retryable) throw pushError;
+  return delivered;
+}
 
+// 🆕 FIXED: Send Assignment Notification to Specific Employee (Multi-token support)
+async function sendAssignmentNotification(employeeEmail, leadData, companyId) {
+  try {
     const leadName = leadData.leadName || "New Lead";
     const leadId = leadData.leadId || "";
     const assignedBy = leadData.assignedBy || "Admin";
 
-    const ICON = "https://app.catination.com/catination-app-logo.png";
+    const brand = await brandingFor(companyId, "LEAD_ASSIGNED");
+
+    return await deliverToUser({
+      type: "LEAD_ASSIGNED",
+      userId: employeeEmail,
+      companyId,
+      leadId,
+      payload: leadData,
+      requeue: () => ["LEAD_ASSIGNED", { employeeEmail, leadData, companyId }],
+      buildMessage: async (locale) => {
+        const { title, body } = await renderNotification("LEAD_ASSIGNED", companyId, locale, {
+          ...leadData,
+          leadId,
+          leadName,
+          assignedBy,
+        });
+
+        return {
+          notification: {
+            title,
+            body,
+          },
+          data: {
+            type: "LEAD_ASSIGNED",
+            leadId: leadId,
+            leadName: leadName,
+            assignedBy: assignedBy,
+            assignedAt: new Date().toISOString(),
+            employeeEmail: employeeEmail
+          },
+          android: {
+            priority: "high",
+            notification: {
+              icon: brand.iconUrl,
+              sound: brand.sound,
+              channelId: brand.channelId,
+            },
+          },
+          apns: {
+            headers: { "apns-priority": "10" },
+            payload: {
+              aps: {
+                alert: { 
+                  title,
+                  body
+                },
+                sound: brand.sound,
+              },
+            },
+          },
+          webpush: {
+            ...clickThrough(brand, `/leads/${leadId}`),
+            headers: { Urgency: "high" },
+            notification: {
+              icon: brand.iconUrl,
+              badge: brand.badgeUrl,
+              vibrate: brand.vibrate,
+              requireInteraction: true,
+              tag: `assignment_${leadId}`,
+              actions: [
+                { action: "view", title: "👀 View Lead" },
+                { action: "accept", title: "✅ Accept" }
+              ],
+            },
+          },
+        };
+      },
+    });
+
+  } catch (error) {
+    // Already logged; hand it to the job queue for a retry
+    if (error.retryable) throw error;
+
+    console.error(`❌ Assignment notification failed for ${employeeEmail}:`, error.message);
+    if (isTransientSendError(error)) throw retryableSendError(error);
+    return false;
+  }
+}
+
+// Reminder Notification to an Employee (all devices)
+async function sendReminderNotification(employeeEmail, companyId) {
+  const brand = await brandingFor(companyId, "LEAD_ASSIGN_REMINDER");
+
+  return deliverToUser({
+    type: "LEAD_ASSIGN_REMINDER",
+    userId: employeeEmail,
+    companyId,
+    requeue: () => ["LEAD_ASSIGN_REMINDER", { employeeEmail, companyId }],
+    buildMessage: async (locale) => {
+      const { title, body } = await renderNotification("LEAD_ASSIGN_REMINDER", companyId, locale, {
+        employeeEmail,
+      });
+
+      // Reminder notification
+      return {
+        notification: {
+          title,
+          body,
+        },
+        data: {
+          type: "LEAD_ASSIGN_REMINDER",
+          employeeEmail: employeeEmail,
+          timestamp: Date.now().toString()
+        },
+        android: { 
+          priority: "high",
+          notification: {
+            icon: brand.iconUrl,
+            sound: brand.sound,
+            channelId: brand.channelId
+          }
+        },
+        apns: { 
+          headers: { "apns-priority": "10" },
+          payload: {
+            aps: { 
+              sound: brand.sound,
+              alert: {
+                title,
+                body
+              }
+            }
+          } 
+        },
+        webpush: {
+          ...clickThrough(brand, "/leads"),
+          headers: { Urgency: "high" },
+          notification: {
+            icon: brand.iconUrl,
+            badge: brand.badgeUrl,
+            vibrate: brand.vibrate,
+            requireInteraction: false
+          },
+        },
+      };
+    },
+  });
+}
+
+// Follow-up from a schedule, to one user (all devices)
+async function sendFollowUpNotification(schedule, userId) {
+  const brand = await brandingFor(schedule.companyId, "FOLLOW_UP");
+  const vars = { ...schedule.data, leadId: schedule.leadId };
+  const title = renderString(schedule.title, vars);
+  const body = renderString(schedule.body, vars);
+
+  // FCM data values must be strings
+  const extra = {};
+  Object.entries(schedule.data || {}).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) extra[key] = String(value);
+  });
 
-    const message = {
+  return deliverToUser({
+    type: "FOLLOW_UP",
+    userId,
+    companyId: schedule.companyId,
+    leadId: schedule.leadId,
+    payload: schedule.data,
+    requeue: () => ["SCHEDULED_DELIVERY", {
+      scheduleId: String(schedule._id),
+      companyId: schedule.companyId,
+      userId,
+    }],
+    buildMessage: async () => ({
       notification: {
-        title: "🎯 Lead Assigned to You",
-        body: `${leadName} has been assigned to you by ${assignedBy}`,
+        title,
+        body,
       },
       data: {
-        type: "LEAD_ASSIGNED",
-        leadId: leadId,
-        leadName: leadName,
-        assignedBy: assignedBy,
-        assignedAt: new Date().toISOString(),
-        employeeEmail: employeeEmail
+        ...extra,
+        type: "FOLLOW_UP",
+        leadId: schedule.leadId || "",
+        scheduleId: String(schedule._id),
       },
       android: {
         priority: "high",
         notification: {
-          icon: ICON,
-          sound: "default",
-          channelId: "catination_assignments",
+          icon: brand.iconUrl,
+          sound: brand.sound,
+          channelId: brand.channelId,
         },
       },
       apns: {
         headers: { "apns-priority": "10" },
         payload: {
           aps: {
-            alert: { 
-              title: "🎯 Lead Assigned to You",
-              body: `${leadName} has been assigned to you by ${assignedBy}`
+            alert: {
+              title,
+              body
             },
-            sound: "default",
+            sound: brand.sound,
           },
         },
       },
       webpush: {
+        ...clickThrough(brand, schedule.leadId ? `/leads/${schedule.leadId}` : "/leads"),
         headers: { Urgency: "high" },
         notification: {
-          icon: ICON,
-          badge: ICON,
-          vibrate: [200, 100, 200, 100, 200],
+          icon: brand.iconUrl,
+          badge: brand.badgeUrl,
+          vibrate: brand.vibrate,
           requireInteraction: true,
-          tag: `assignment_${leadId}`,
-          actions: [
-            { action: "view", title: "👀 View Lead" },
-            { action: "accept", title: "✅ Accept" }
-          ],
+          tag: `followup_${schedule._id}`,
         },
       },
-    };
-
-    // Send to all employee devices
-    const result = await admin.messaging().sendEachForMulticast({
-      ...message,
-      tokens: tokens,
-    });
+    }),
+  });
+}
 
-    // Remove invalid tokens
-    if (result.responses) {
-      result.responses.forEach((response, index) => {
-        if (!response.success) {
-          const error = response.error;
-          if (error?.code === "messaging/invalid-registration-token" || 
-              error?.code === "messaging/registration-token-not-registered") {
-            Token.deleteOne({ token: tokens[index] }).catch(() => {});
-          }
-        }
-      });
-    }
+// One push for the leads a user got past their burst limit; opens the lead list
+async function sendDigestNotification({ companyId, userId, windowId }, digest) {
+  const brand = await brandingFor(companyId, "LEAD_DIGEST");
+  const leadIds = digest.leads.map(lead => lead.leadId).filter(Boolean);
 
-    console.log(`✅ Assignment notification sent to: ${employeeEmail} for lead: ${leadName} (${result.successCount}/${tokens.length} successful)`);
-    return result.successCount > 0;
+  return deliverToUser({
+    type: "LEAD_DIGEST",
+    userId,
+    companyId,
+    requeue: () => ["LEAD_DIGEST", { companyId, userId, windowId }],
+    buildMessage: async (locale) => {
+      const { title, body } = await renderNotification("LEAD_DIGEST", companyId, locale, digest.vars);
 
-  } catch (error) {
-    console.error(`❌ Assignment notification failed for ${employeeEmail}:`, error.message);
-    return false;
-  }
+      return {
+        notification: {
+          title,
+          body,
+        },
+        data: {
+          type: "LEAD_DIGEST",
+          view: "lead-list",
+          count: String(digest.vars.count),
+          leadIds: JSON.stringify(leadIds), // FCM data values must be strings
+        },
+        android: {
+          priority: "high",
+          notification: {
+            icon: brand.iconUrl,
+            sound: brand.sound,
+            channelId: brand.channelId,
+          },
+        },
+        apns: {
+          headers: { "apns-priority": "10" },
+          payload: {
+            aps: {
+              alert: {
+                title,
+                body
+              },
+              sound: brand.sound,
+            },
+          },
+        },
+        webpush: {
+          ...clickThrough(brand, "/leads"),
+          headers: { Urgency: "high" },
+          notification: {
+            icon: brand.iconUrl,
+            badge: brand.badgeUrl,
+            vibrate: brand.vibrate,
+            requireInteraction: false,
+            tag: "catination_lead_digest",
+          },
+        },
+      };
+    },
+  });
 }
 
-// -------------------- Lead Handler --------------------
-async function handleLeadEvent(data) {
-  try {
-    if (!data || typeof data !== "object") return;
+// Escalation push to an admin or backup user about an unaccepted lead
+async function sendEscalationNotification(escalation, userId) {
+  const brand = await brandingFor(escalation.companyId, "LEAD_ESCALATED");
+  const leadData = escalation.leadData || {};
+  const leadName = leadData.leadName || "New Lead";
+  const minutes = Math.round((Date.now() - new Date(escalation.createdAt).getTime()) / 60000);
+
+  return deliverToUser({
+    type: "LEAD_ESCALATED",
+    userId,
+    companyId: escalation.companyId,
+    leadId: escalation.leadId,
+    payload: leadData,
+    requeue: () => ["ESCALATION_NOTIFY", {
+      escalationId: String(escalation._id),
+      companyId: escalation.companyId,
+      userId,
+    }],
+    buildMessage: async (locale) => {
+      const { title, body } = await renderNotification("LEAD_ESCALATED", escalation.companyId, locale, {
+        ...leadData,
+        leadName,
+        assignee: escalation.assignee,
+        minutes,
+      });
 
-    // Get company ID
-    const companyId = data.companyId || data.tenantId;
-    if (!companyId) return;
+      return {
+        notification: {
+          title,
+          body,
+        },
+        data: {
+          type: "LEAD_ESCALATED",
+          leadId: escalation.leadId,
+          leadName,
+          assignee: escalation.assignee,
+          escalationId: String(escalation._id),
+        },
+        android: {
+          priority: "high",
+          notification: {
+            icon: brand.iconUrl,
+            sound: brand.sound,
+            channelId: brand.channelId,
+          },
+        },
+        apns: {
+          headers: { "apns-priority": "10" },
+          payload: {
+            aps: {
+              alert: {
+                title,
+                body
+              },
+              sound: brand.sound,
+            },
+          },
+        },
+        webpush: {
+          ...clickThrough(brand, `/leads/${escalation.leadId}`),
+          headers: { Urgency: "high" },
+          notification: {
+            icon: brand.iconUrl,
+            badge: brand.badgeUrl,
+            vibrate: brand.vibrate,
+            requireInteraction: true,
+            tag: `escalation_${escalation.leadId}`,
+          },
+        },
+      };
+    },
+  });
+}
 
-    const leadId = data.leadId ? String(data.leadId) : null;
+// Admin announcement; not localized, the admin writes the wording
+async function buildBroadcastMessage(broadcast) {
+  const brand = await brandingFor(broadcast.companyId, "BROADCAST");
+  const { title, body, link } = broadcast;
+
+  return {
+    notification: {
+      title,
+      body,
+    },
+    data: {
+      type: "BROADCAST",
+      broadcastId: String(broadcast._id),
+      link: link || "",
+    },
+    android: {
+      priority: "normal",
+      notification: {
+        icon: brand.iconUrl,
+        sound: brand.sound,
+        channelId: brand.channelId,
+      },
+    },
+    apns: {
+      headers: { "apns-priority": "5" },
+      payload: {
+        aps: {
+          alert: {
+            title,
+            body
+          },
+          sound: brand.sound,
+        },
+      },
+    },
+    webpush: {
+      notification: {
+        icon: brand.iconUrl,
+        badge: brand.badgeUrl,
+        requireInteraction: false,
+        tag: `broadcast_${broadcast._id}`,
+      },
+      // FCM only accepts https links here; otherwise the company's domain
+      ...(link && link.startsWith("https:") ? { fcmOptions: { link } } : clickThrough(brand, "/")),
+    },
+  };
+}
 
-    // Deduplication
-    if (leadId && isLeadRecentlyProcessed(leadId)) {
-      console.log(`⏭️ Skipping duplicate lead: ${leadId}`);
-      return;
+// Sends a claimed broadcast to its audience: one topic message per locale for
+// large unfiltered audiences, token multicasts otherwise. Users in quiet
+// hours get it later through BROADCAST_DELIVERY.
+async function sendBroadcast(broadcast) {
+  const broadcastId = String(broadcast._id);
+  const { companyId, audience } = broadcast;
+
+  const tokens = await audienceTokens(companyId, audience);
+  const { allowed, muted, held } = await applyPreferences(companyId, tokens, "BROADCAST");
+  await deferFilteredRecipients(
+    { type: "BROADCAST", companyId, leadId: "", muted, held },
+    (userId) => ["BROADCAST_DELIVERY", { broadcastId, companyId, userId }]
+  );
+
+  const { topicFanout } = await getCompanySettings(companyId);
+  const conditions = topicFanout.enabled && allowed.length >= topicFanout.minDevices && !muted.length && !held.size
+    ? await fanoutConditions(companyId, audienceSelectors(audience), allowed)
+    : null;
+
+  const notificationId = new mongoose.Types.ObjectId();
+  const message = await buildBroadcastMessage(broadcast);
+  message.data.notificationId = String(notificationId);
+  const results = [];
+
+  if (conditions) {
+    const byLocale = groupByLocale(allowed);
+    for (const [locale, condition] of conditions) {
+      const end = metrics.sendLatency.startTimer({ kind: "topic" });
+      try {
+        const messageId = await messaging.send({ ...message, condition }).finally(end);
+        results.push({ channel: "topic", token: condition, success: true, messageId, errorCode: "" });
+      } catch (error) {
+        console.error(`Broadcast topic send error (${locale || "default"}):`, error.message);
+        results.push({ channel: "topic", token: condition, success: false, messageId: "", errorCode: error.code || "" });
+        results.push(...(await sendLeadToTokenGroup(message, byLocale.get(locale) || [])));
+      }
     }
+  } else if (allowed.length) {
+    results.push(...(await sendLeadToTokenGroup(message, allowed)));
+  }
 
-    // Get tokens
-    const tokens = await Token.find({ 
-      companyId: String(companyId), 
-      enabled: true 
-    }).lean();
-
-    const tokenSet = new Set();
-    
-    tokens.forEach((token) => {
-      if (!token?.token) return;
-      
-      // ADMIN always receives
-      if (token.role === "ADMIN") {
-        tokenSet.add(String(token.token));
-      }
-      // EMPLOYEE only if roleExperience === "1"  
-      if (token.role === "EMPLOYEE" && String(token.roleExperience || "0") === "1") {
-        tokenSet.add(String(token.token));
-      }
+  if (allowed.length) {
+    await logNotification({
+      notificationId,
+      type: "BROADCAST",
+      companyId,
+      userIds: Array.from(new Set(allowed.map(doc => doc.userId))),
+      results,
     });
+  }
 
-    const targets = Array.from(tokenSet);
-    
-    if (targets.length === 0) {
-      if (leadId) markLeadProcessed(leadId);
-      return;
+  const outcome = {
+    notificationId: String(notificationId),
+    fanout: conditions ? "topics" : "tokens",
+    stats: {
+      users: new Set(tokens.map(doc => doc.userId)).size,
+      devices: allowed.length,
+      muted: muted.length,
+      held: held.size,
+    },
+  };
+  console.log(`📢 Broadcast ${broadcastId} sent to ${allowed.length} devices (${held.size} held, ${muted.length} muted)`);
+  return outcome;
+}
+
+// Queue the assignment push and, if the company has a policy, start
+// watching for it to be accepted. Returns the job.
+async function queueAssignment(employeeEmail, leadData, companyId) {
+  const job = await jobQueue.enqueue("LEAD_ASSIGNED", { employeeEmail, leadData, companyId });
+  stream.publish(companyId, "assignment", { ...leadData, type: "LEAD_ASSIGNED", assignee: employeeEmail }, [employeeEmail]);
+
+  try {
+    const { escalation } = await getCompanySettings(companyId);
+    if (escalation.enabled && leadData?.leadId) {
+      await startEscalation(companyId, employeeEmail, leadData, escalation);
     }
+  } catch (error) {
+    // The push itself is queued; a missing escalation must not fail the request
+    console.error("Escalation start error:", error.message);
+  }
 
-    // Send FCM notification
-    await sendPushToTokens(data, targets);
-    if (leadId) markLeadProcessed(leadId);
-    
-    console.log(`✅ Processed lead ${leadId} for ${targets.length} users`);
+  return job;
+}
 
+// -------------------- Token Registration --------------------
+// Best effort: the reconciliation job repairs anything that fails here
+async function syncTokenTopics(tokenDocs, options) {
+  try {
+    if (tokenDocs.length) await syncTopics(messaging, tokenDocs, options);
   } catch (error) {
-    console.error("Lead processing error:", error.message);
+    console.error("Topic sync error:", error.message);
   }
 }
 
-// -------------------- SSE Listener --------------------
-let sseRunning = false;
-let reconnectDelay = 2000;
+// Revoked or evicted devices: disabled first so they get no more direct
+// sends, then unsubscribed. Only tokens whose unsubscribe went through are
+// deleted; the rest keep their topics for the reconciliation job and
+// purgeDisabledTokens, and keep topic fan-out per token until then.
+async function retireTokens(tokenDocs, reason) {
+  const ids = tokenDocs.map(t => t._id);
+  await Token.updateMany(
+    { _id: { $in: ids } },
+    { $set: { enabled: false, disabledAt: new Date(), disabledReason: reason } }
+  );
+  await syncTokenTopics(tokenDocs, { removeAll: true });
+  await Token.deleteMany({ _id: { $in: ids }, enabled: false, "topics.0": { $exists: false } });
+}
+
+async function registerToken({ token, userId, companyId, role, roleExperience, team, locale, clientInfo }) {
+  // Upsert new token
+  await Token.updateOne(
+    { token },
+    {
+      $set: {
+        token,
+        userId,
+        companyId,
+        role: role || "",
+        roleExperience: roleExperience || "0",
+        team: team || "",
+        enabled: true,
+        disabledAt: null,
+        disabledReason: "",
+        locale: locale || "",
+        clientInfo: clientInfo || {},
+        lastSeen: new Date(),
+      }
+    },
+    { upsert: true }
+  );
+
+  // Enforce the company's device policy: single-device keeps only this
+  // token, multi-device evicts the least recently seen beyond the cap
+  const settings = await getCompanySettings(companyId);
+  const maxDevices = settings.deviceMode === "single" ? 1 : settings.maxDevicesPerUser;
+
+  const others = await Token.find({ userId, companyId, token: { $ne: token } })
+    .sort({ lastSeen: -1 })
+    .select("token topics")
+    .lean();
+
+  const evicted = others.slice(Math.max(maxDevices - 1, 0));
+  if (evicted.length) {
+    await retireTokens(evicted, "evicted");
+    metrics.tokensPruned.inc({ reason: "evicted" }, evicted.length);
+    console.log(`🧹 Evicted ${evicted.length} old device(s) for user: ${userId}`);
+  }
+
+  // Role / team / locale may have changed: move it to the right topics
+  await syncTokenTopics(await Token.find({ token }).lean());
+
+  console.log(`✅ Token registered for user: ${userId} (${settings.deviceMode}-device)`);
+}
+
+// -------------------- Job Handlers --------------------
+// A handler that throws is retried with backoff, then dead-lettered.
+jobQueue.registerHandler("REGISTER_TOKEN", async (payload) => {
+  await registerToken(payload);
+});
+
+// `escalationId` is set for escalation re-pushes, whose step records the outcome
+jobQueue.registerHandler("LEAD_ASSIGNED", async ({ employeeEmail, leadData, companyId, escalationId }) => {
+  const delivered = await sendAssignmentNotification(employeeEmail, leadData, companyId);
+  if (escalationId) {
+    await updateStepDetail(escalationId, "repush", delivered ? "re-pushed to assignee" : "re-push not delivered");
+  }
+  if (!delivered) {
+    console.log(`⚠ Assignment notification not delivered to ${employeeEmail}, but assignment was successful`);
+  }
+  return { delivered };
+});
+
+// Periodic (recurring) or on demand for one company
+jobQueue.registerHandler("TOPIC_RECONCILE", async ({ companyId, recurring }) => {
+  try {
+    const totals = await reconcileTopics(messaging, { companyId });
+    if (totals.outOfSync) {
+      console.log(`📡 Topic reconcile${companyId ? ` for ${companyId}` : ""}: ${JSON.stringify(totals)}`);
+    }
+    return totals;
+  } finally {
+    if (recurring) await jobQueue.scheduleRecurring("TOPIC_RECONCILE", TOPIC_RECONCILE_INTERVAL);
+  }
+});
+
+// Stale / invalid token clean-up (lib/tokenLifecycle.js)
+jobQueue.registerHandler("TOKEN_LIFECYCLE", async ({ recurring }) => {
+  try {
+    const totals = await runTokenLifecycle(messaging);
+    console.log(`🧹 Token lifecycle: ${JSON.stringify(totals)}`);
+    return totals;
+  } finally {
+    if (recurring) await jobQueue.scheduleRecurring("TOKEN_LIFECYCLE", TOKEN_LIFECYCLE_INTERVAL);
+  }
+});
+
+jobQueue.registerHandler("ESCALATION_STEP", async ({ escalationId, companyId, step }) => {
+  if (step === "repush") {
+    const escalation = await claimStep(escalationId, "repush", "re-push queued");
+    if (!escalation) return { skipped: true };
+
+    // The send is its own job: its retries must not run into this claim
+    try {
+      const job = await jobQueue.enqueue("LEAD_ASSIGNED", {
+        employeeEmail: escalation.assignee,
+        leadData: escalation.leadData,
+        companyId,
+        escalationId,
+      });
+      return { queued: String(job._id) };
+    } catch (error) {
+      await releaseStep(escalationId, "repush");
+      throw error;
+    }
+  }
+
+  // "escalate": tell the backup user, or every admin except the assignee
+  const escalation = await Escalation.findById(escalationId).lean();
+  if (!escalation || escalation.status !== "active") return { skipped: true };
+
+  const { policy } = escalation;
+  let recipients;
+  if (policy.escalateTo === "backup" && policy.backupUserId) {
+    recipients = [policy.backupUserId];
+  } else {
+    recipients = (await Token.distinct("userId", { companyId, role: "ADMIN", enabled: true }))
+      .filter(userId => userId !== escalation.assignee);
+  }
+
+  if (!(await claimStep(escalationId, "escalate", `notified: ${recipients.join(", ") || "nobody"}`))) {
+    return { skipped: true };
+  }
+
+  for (const userId of recipients) {
+    await jobQueue.enqueue("ESCALATION_NOTIFY", { escalationId, companyId, userId });
+  }
+  await completeEscalation(escalationId, { needsReassignment: !!policy.markForReassignment });
+
+  return { notified: recipients.length };
+});
+
+jobQueue.registerHandler("ESCALATION_NOTIFY", async ({ escalationId, userId }) => {
+  const escalation = await Escalation.findById(escalationId).lean();
+  // Accepted in the meantime: nobody needs to hear about it
+  if (!escalation || escalation.status === "accepted" || escalation.status === "cancelled") {
+    return { skipped: true };
+  }
+
+  const delivered = await sendEscalationNotification(escalation, userId);
+  return { delivered };
+});
+
+// Leads bundled while a user was over their burst limit, sent when the window ends
+jobQueue.registerHandler("LEAD_DIGEST", async (payload) => {
+  const digest = await loadDigest(payload.windowId);
+  if (!digest) return { skipped: true };
+
+  const delivered = await sendDigestNotification(payload, digest);
+  if (delivered) await markDigestSent(payload.windowId);
+  return { delivered, leads: digest.vars.count };
+});
+
+// A new-lead push held back by one user's quiet hours. Every held lead is
+// released when quiet hours end, so they go through the burst limit like
+// live leads: past maxPerWindow they land in the window's digest.
+jobQueue.registerHandler("NEW_LEAD_HELD", async ({ companyId, userId, lead }) => {
+  const tokens = await Token.find({ userId, companyId, enabled: true }).lean();
+
+  const preferred = await applyPreferences(companyId, tokens, "NEW_LEAD", lead);
+  const { muted, held } = preferred;
+  await deferFilteredRecipients(
+    { type: "NEW_LEAD", companyId, leadId: lead?.leadId, muted, held },
+    () => ["NEW_LEAD_HELD", { companyId, userId, lead }]
+  );
+
+  const { throttle } = await getCompanySettings(companyId);
+  const { allowed, digested } = await applyThrottle(companyId, preferred.allowed, lead, throttle);
+
+  await sendPushToTokens(lead, allowed);
+  return { delivered: allowed.length, digested: digested.length > 0 };
+});
+
+// A lead posted to /events/lead; the outcome is stored on the LeadEvent
+jobQueue.registerHandler("LEAD_EVENT", async ({ eventId }) => {
+  const event = await LeadEvent.findOne({ eventId }).lean();
+  if (!event) return { missing: true };
+
+  const outcome = await handleLeadEvent(event.payload, event.source);
+  if (outcome.status === "failed") {
+    // Record the attempt, then let the queue retry
+    await LeadEvent.updateOne({ eventId }, { $set: { status: "failed", error: outcome.error } });
+    throw new Error(outcome.error);
+  }
+
+  await LeadEvent.updateOne(
+    { eventId },
+    { $set: { status: outcome.status, outcome, error: "", processedAt: new Date() } }
+  );
+  return outcome;
+});
+
+// One occurrence of a schedule: fan out one delivery job per recipient so
+// each is retried on its own, and queue the next occurrence if it repeats
+jobQueue.registerHandler("SCHEDULED_NOTIFICATION", async ({ scheduleId, companyId, version, sendAt }) => {
+  const schedule = await claimOccurrence(scheduleId, version, sendAt);
+  if (!schedule) return { skipped: true };
+
+  const userIds = await resolveRecipients(schedule);
+  for (const userId of userIds) {
+    await jobQueue.enqueue("SCHEDULED_DELIVERY", { scheduleId, companyId, userId });
+  }
+  stream.publish(companyId, "reminder", {
+    type: "FOLLOW_UP",
+    scheduleId,
+    leadId: schedule.leadId,
+    title: schedule.title,
+    body: schedule.body,
+  }, userIds);
+  return { recipients: userIds.length };
+});
+
+jobQueue.registerHandler("SCHEDULED_DELIVERY", async ({ scheduleId, userId }) => {
+  const schedule = await ScheduledNotification.findById(scheduleId).lean();
+  if (!schedule || schedule.status === "cancelled") return { skipped: true };
+
+  const delivered = await sendFollowUpNotification(schedule, userId);
+  return { delivered };
+});
+
+// Picks an assignee for a new lead and sends them the assignment push.
+// A retry reuses the stored decision and only re-queues the push.
+jobQueue.registerHandler("AUTO_ASSIGN", async ({ companyId, lead }) => {
+  const { autoAssign } = await getCompanySettings(companyId);
+  if (!autoAssign.enabled) return { skipped: true };
+
+  const { decision } = await assignLead(companyId, lead, autoAssign);
+  if (!decision.assignee) {
+    console.log(`⚠ No eligible assignee for lead ${lead.leadId || "(no id)"}`);
+    return { assignee: "", strategy: decision.strategy };
+  }
+
+  if (!decision.notifiedAt) {
+    await queueAssignment(decision.assignee, { ...lead, assignedBy: "Auto-assign" }, companyId);
+    await markNotified(decision._id);
+    console.log(`🎯 Auto-assigned lead ${lead.leadId || "(no id)"} to ${decision.assignee} (${decision.strategy})`);
+  }
+  return { assignee: decision.assignee, strategy: decision.strategy };
+});
+
+// A due broadcast; not retried, so a failure can't send it twice
+jobQueue.registerHandler("BROADCAST", async ({ broadcastId }) => {
+  const broadcast = await claimBroadcast(broadcastId);
+  if (!broadcast) return { skipped: true };
+
+  try {
+    const outcome = await sendBroadcast(broadcast);
+    await finishBroadcast(broadcastId, { ...outcome, status: "sent" });
+    return outcome;
+  } catch (error) {
+    await finishBroadcast(broadcastId, { status: "failed", error: error.message });
+    throw error;
+  }
+});
+
+// A broadcast held back by one user's quiet hours
+jobQueue.registerHandler("BROADCAST_DELIVERY", async ({ broadcastId, companyId, userId }) => {
+  const broadcast = await Broadcast.findById(broadcastId).lean();
+  if (!broadcast) return { skipped: true };
+
+  const delivered = await deliverToUser({
+    type: "BROADCAST",
+    userId,
+    companyId,
+    requeue: () => ["BROADCAST_DELIVERY", { broadcastId, companyId, userId }],
+    buildMessage: async () => buildBroadcastMessage(broadcast),
+  });
+  return { delivered };
+});
+
+jobQueue.registerHandler("LEAD_ASSIGN_REMINDER", async ({ employeeEmail, companyId }) => {
+  const delivered = await sendReminderNotification(employeeEmail, companyId);
+  return { delivered };
+});
+
+// -------------------- Lead Handler --------------------
+// Returns an outcome ({ status, ... }) so callers such as the webhook can
+// record what happened to the event.
+async function handleLeadEvent(data, source = "sse") {
+  let claim = null;
+
+  try {
+    if (!data || typeof data !== "object") return { status: "ignored" };
+
+    // Get company ID
+    const companyId = data.companyId || data.tenantId;
+    if (!companyId) return { status: "ignored" };
+
+    metrics.leadsReceived.inc({ source });
+    const endTimer = metrics.leadLatency.startTimer();
+
+    const leadId = data.leadId ? String(data.leadId) : null;
+
+    // Deduplication: shared across instances and restarts
+    if (leadId) {
+      const { dedupeWindowSeconds } = await getCompanySettings(companyId);
+      claim = { companyId: String(companyId), eventType: "NEW_LEAD", leadId };
+      if (!(await claimEvent({ ...claim, windowSeconds: dedupeWindowSeconds }))) {
+        console.log(`⏭️ Skipping duplicate lead: ${leadId}`);
+        metrics.leadsDeduped.inc();
+        return { status: "duplicate" };
+      }
+    }
+
+    // Auto-assignment runs on its own, whoever hears about the lead
+    const { autoAssign } = await getCompanySettings(companyId);
+    if (autoAssign.enabled) {
+      await jobQueue.enqueue("AUTO_ASSIGN", { companyId: String(companyId), lead: data });
+    }
+
+    // Get tokens
+    const tokens = await Token.find({ 
+      companyId: String(companyId), 
+      enabled: true 
+    }).lean();
+
+    // Company routing rules decide who hears about this lead
+    const rules = await loadRules(companyId);
+    const { targets, matchedRules, selectors } = evaluateRules(rules, data, tokens);
+
+    if (matchedRules.length) {
+      console.log(`🧭 Lead ${leadId} matched rules: ${matchedRules.join(", ")}`);
+    }
+
+    // Admin dashboards see every lead, users the ones routed to them
+    stream.publish(companyId, "lead", { ...data, type: "NEW_LEAD" }, targets.map(token => token.userId));
+    
+    if (targets.length === 0) {
+      return { status: "no-recipients", matchedRules };
+    }
+
+    // Drop muted users, hold the ones in quiet hours
+    const preferred = await applyPreferences(companyId, targets, "NEW_LEAD", data);
+    const { muted, held } = preferred;
+    await deferFilteredRecipients(
+      { type: "NEW_LEAD", companyId: String(companyId), leadId, muted, held },
+      (userId) => ["NEW_LEAD_HELD", { companyId: String(companyId), userId, lead: data }]
+    );
+
+    // Users over their burst limit get this lead in a digest instead
+    const { topicFanout, throttle } = await getCompanySettings(companyId);
+    const { allowed, digested } = await applyThrottle(companyId, preferred.allowed, data, throttle);
+
+    // Large audiences nobody is filtered out of go out as topic messages
+    const filtered = muted.length || held.size || digested.length;
+    const conditions = topicFanout.enabled && allowed.length >= topicFanout.minDevices && !filtered
+      ? await fanoutConditions(String(companyId), selectors, allowed)
+      : null;
+
+    // Send FCM notification
+    if (conditions) {
+      await sendPushToTopics(data, conditions, allowed);
+    } else {
+      await sendPushToTokens(data, allowed);
+    }
+    if (allowed.length) {
+      metrics.leadsRouted.inc({ fanout: conditions ? "topics" : "tokens" });
+      endTimer();
+    }
+    
+    console.log(`✅ Processed lead ${leadId} for ${allowed.length} devices (${held.size} held, ${muted.length} muted, ${digested.length} digested)`);
+
+    return {
+      status: "processed",
+      matchedRules,
+      devices: allowed.length,
+      fanout: conditions ? "topics" : "tokens",
+      heldUsers: Array.from(held.keys()),
+      mutedUsers: muted,
+      digestedUsers: digested,
+    };
+  } catch (error) {
+    console.error("Lead processing error:", error.message);
+    // Let a replay of this event try again
+    if (claim) releaseEvent(claim).catch(() => {});
+    return { status: "failed", error: error.message };
+  }
+}
+
+// -------------------- Other Lead Events --------------------
+// Updates don't notify anyone. Once a lead is contacted, follow-ups that
+// were set to repeat "until contacted" are stopped.
+async function handleLeadUpdatedEvent(data) {
+  try {
+    const leadId = data?.leadId ? String(data.leadId) : "";
+    const companyId = data?.companyId || data?.tenantId;
+    console.log(`✏️ Lead updated: ${leadId || "(no id)"}`);
+
+    const contacted = data?.contacted === true || /contacted/i.test(String(data?.status || ""));
+    if (!leadId || !companyId || !contacted) return;
+
+    const stopped = await cancelSchedules(
+      companyId,
+      { leadId, stopWhenContacted: true },
+      "lead-contacted"
+    );
+    if (stopped) console.log(`🛑 Stopped ${stopped} follow-up(s) for contacted lead ${leadId}`);
+    await closeAssignments(companyId, leadId, "contacted");
+  } catch (error) {
+    console.error("Lead updated event error:", error.message);
+  }
+}
+
+// Assignment made in the main app: same path as /send-assignment-notification
+async function handleLeadAssignedEvent(data) {
+  try {
+    if (!data || typeof data !== "object") return;
+
+    const companyId = data.companyId || data.tenantId;
+    const employeeEmail = data.employeeEmail || data.assignedTo;
+    if (!companyId || !employeeEmail) return;
+
+    if (data.leadId) {
+      const { dedupeWindowSeconds } = await getCompanySettings(companyId);
+      const claimed = await claimEvent({
+        companyId: String(companyId),
+        eventType: "LEAD_ASSIGNED",
+        leadId: `${data.leadId}:${employeeEmail}`,
+        windowSeconds: dedupeWindowSeconds,
+      });
+      if (!claimed) {
+        console.log(`⏭️ Skipping duplicate assignment: ${data.leadId} → ${employeeEmail}`);
+        return;
+      }
+    }
+
+    await queueAssignment(String(employeeEmail), data, String(companyId));
+    // Reassigned by hand: the auto-assignee no longer has it open
+    if (data.leadId) {
+      await closeAssignments(String(companyId), data.leadId, "reassigned", { exceptAssignee: employeeEmail });
+    }
+  } catch (error) {
+    console.error("Lead assigned event error:", error.message);
+  }
+}
+
+// SSE `event:` names -> handler. Events without a type arrive as "message"
+// and are treated as new leads, which is what the feed has always sent.
+const SSE_EVENT_HANDLERS = {
+  message: handleLeadEvent,
+  lead: handleLeadEvent,
+  newlead: handleLeadEvent,
+  leadcreated: handleLeadEvent,
+  leadupdated: handleLeadUpdatedEvent,
+  leadassigned: handleLeadAssignedEvent,
+};
+
+// "lead.assigned", "LEAD_ASSIGNED" and "lead-assigned" all map to "leadassigned"
+function sseHandlerFor(eventType) {
+  return SSE_EVENT_HANDLERS[String(eventType).toLowerCase().replace(/[^a-z]/g, "")];
+}
+
+// -------------------- SSE Listener --------------------
+let sseRunning = false;
+let sseConnected = false; // response received and being read
+let sseLastEventAt = null;
+const DEFAULT_RETRY = 2000;
+let retryBase = DEFAULT_RETRY; // updated by the stream's `retry:` field
+let reconnectDelay = DEFAULT_RETRY;
 const MAX_DELAY = 60000;
 
+// Cursor key: a hash so the URL (which may carry a secret) isn't stored
+const SSE_STREAM_KEY = SSE_URL
+  ? `sse:${crypto.createHash("sha1").update(SSE_URL).digest("hex").slice(0, 16)}`
+  : "";
+
+async function loadLastEventId() {
+  try {
+    const cursor = await StreamCursor.findOne({ stream: SSE_STREAM_KEY }).lean();
+    return cursor?.lastEventId || "";
+  } catch (error) {
+    console.error("SSE cursor load error:", error.message);
+    return "";
+  }
+}
+
+async function saveLastEventId(lastEventId) {
+  try {
+    await StreamCursor.updateOne(
+      { stream: SSE_STREAM_KEY },
+      { $set: { lastEventId, lastEventAt: new Date() } },
+      { upsert: true }
+    );
+  } catch (error) {
+    console.error("SSE cursor save error:", error.message);
+  }
+}
+
+// A lead the pipeline failed on goes to the LEAD_EVENT job, which retries
+// it with backoff. Keyed by the stream's event id, so an event re-read after
+// a reconnect is queued once.
+async function queueFailedSSELead(event, payload, outcome) {
+  const companyId = String(payload.companyId || payload.tenantId);
+  const eventId = event.id ? `sse:${SSE_STREAM_KEY}:${event.id}` : crypto.randomUUID();
+
+  await LeadEvent.updateOne(
+    { eventId },
+    {
+      $setOnInsert: {
+        eventId,
+        companyId,
+        source: "sse",
+        leadId: payload.leadId ? String(payload.leadId) : "",
+        payload: { ...payload, companyId },
+        status: "failed",
+        error: outcome.error || "",
+      },
+    },
+    { upsert: true }
+  );
+  await jobQueue.enqueue("LEAD_EVENT", { eventId, companyId });
+}
+
+async function dispatchSSEEvent(event) {
+  const handler = sseHandlerFor(event.type);
+  if (!handler) {
+    console.log(`⏭️ Ignoring SSE event type: ${event.type}`);
+    return;
+  }
+
+  // Keep-alives and other non-JSON payloads
+  if (!event.data.trim().startsWith("{")) return;
+
+  let payload;
+  try {
+    payload = JSON.parse(event.data);
+  } catch (error) {
+    console.error("SSE parse error:", error.message);
+    return;
+  }
+
+  const outcome = await handler(payload);
+  if (outcome?.status === "failed") await queueFailedSSELead(event, payload, outcome);
+}
+
 async function startSSE() {
   if (!SSE_URL || sseRunning) return;
 
   sseRunning = true;
   
   try {
+    const lastEventId = await loadLastEventId();
+    const headers = { Accept: "text/event-stream" };
+    if (lastEventId) headers["Last-Event-ID"] = lastEventId;
+
     const response = await fetch(SSE_URL, { 
       method: "GET", 
-      headers: { Accept: "text/event-stream" } 
+      headers
     });
 
     if (!response.ok) throw new Error(`SSE error: ${response.status}`);
 
-    console.log("🔌 SSE connected");
-    reconnectDelay = 2000;
+    console.log(`🔌 SSE connected${lastEventId ? ` (resuming after ${lastEventId})` : ""}`);
+    sseConnected = true;
+    reconnectDelay = retryBase;
+
+    const pending = [];
+    const parser = createSSEParser({
+      lastEventId,
+      onEvent: (event) => pending.push(event),
+      onRetry: (ms) => {
+        retryBase = Math.min(ms, MAX_DELAY);
+        reconnectDelay = retryBase;
+      },
+    });
 
     const reader = response.body.getReader();
     const decoder = new TextDecoder();
-    let buffer = "";
 
     while (true) {
       const { value, done } = await reader.read();
       if (done) break;
 
-      buffer += decoder.decode(value, { stream: true });
-
-      while (buffer.includes("\n\n")) {
-        const idx = buffer.indexOf("\n\n");
-        const eventChunk = buffer.slice(0, idx).trim();
-        buffer = buffer.slice(idx + 2);
-
-        if (!eventChunk) continue;
-
-        const dataLine = eventChunk
-          .split("\n")
-          .find(line => line.startsWith("data:"))
-          ?.replace("data:", "")
-          .trim();
+      parser.feed(decoder.decode(value, { stream: true }));
 
-        if (!dataLine?.startsWith("{")) continue;
-
-        try {
-          const leadData = JSON.parse(dataLine);
-          await handleLeadEvent(leadData);
-        } catch (error) {
-          console.error("SSE parse error:", error.message);
-        }
+      // Handle in order; the cursor only moves past events we've processed
+      // or queued for retry. A throw here reconnects from the old cursor.
+      while (pending.length) {
+        const event = pending.shift();
+        sseLastEventAt = new Date();
+        await dispatchSSEEvent(event);
+        if (event.id) await saveLastEventId(event.id);
       }
     }
   } catch (error) {
@@ -419,6 +1838,7 @@ async function startSSE() {
   }
 
   sseRunning = false;
+  sseConnected = false;
   reconnectDelay = Math.min(reconnectDelay * 1.4, MAX_DELAY);
   
   setTimeout(() => {
@@ -433,85 +1853,203 @@ if (SSE_URL) {
   });
 }
 
-// -------------------- API Routes --------------------
+// -------------------- Health & Metrics --------------------
+const READY_MAX_QUEUE_DEPTH = parseInt(process.env.READY_MAX_QUEUE_DEPTH, 10) || 5000;
+// 0: report the age of the last SSE event without failing readiness on it
+const READY_MAX_SSE_EVENT_AGE = parseInt(process.env.READY_MAX_SSE_EVENT_AGE_SECONDS, 10) || 0;
+const MESSAGING_CHECK_TTL = 5 * 60 * 1000;
+const CHECK_TIMEOUT = 3000;
+
+function withTimeout(promise, ms, label) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`${label} timed out`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
 
-// Register FCM token
-app.post("/register-token", async (req, res) => {
+async function checkMongo() {
+  if (mongoose.connection.readyState !== 1) {
+    return { ok: false, state: mongoose.STATES[mongoose.connection.readyState] };
+  }
   try {
-    const { token, userId, companyId, role, roleExperience } = req.body || {};
+    await withTimeout(mongoose.connection.db.admin().ping(), CHECK_TIMEOUT, "Mongo ping");
+    return { ok: true, state: "connected" };
+  } catch (error) {
+    return { ok: false, state: "connected", error: error.message };
+  }
+}
 
-    if (!token || !userId || !companyId) {
-      return res.status(400).json({ error: "Missing required fields" });
-    }
+// Fetching an access token proves the service account works; cached since
+// it is a network call to Google
+let messagingCheck = { ok: false, checkedAt: 0 };
+async function checkMessaging() {
+  if (Date.now() - messagingCheck.checkedAt < MESSAGING_CHECK_TTL) return messagingCheck;
+  try {
+    await withTimeout(messaging.checkCredentials(), CHECK_TIMEOUT, "Messaging credentials");
+    messagingCheck = { ok: true, mode: messaging.mode, checkedAt: Date.now() };
+  } catch (error) {
+    messagingCheck = { ok: false, mode: messaging.mode, checkedAt: Date.now(), error: error.message };
+  }
+  return messagingCheck;
+}
 
-    // Respond immediately
-    res.json({ success: true });
+async function sseLastEventAge() {
+  let lastEventAt = sseLastEventAt;
+  if (!lastEventAt && SSE_STREAM_KEY) {
+    const cursor = await StreamCursor.findOne({ stream: SSE_STREAM_KEY }).lean().catch(() => null);
+    lastEventAt = cursor?.lastEventAt || null;
+  }
+  return lastEventAt ? Math.round((Date.now() - lastEventAt.getTime()) / 1000) : null;
+}
 
-    // Background processing
-    setImmediate(async () => {
-      try {
-        // Delete old tokens for this user (single-device mode)
-        await Token.deleteMany({ userId, token: { $ne: token } });
-
-        // Upsert new token
-        await Token.updateOne(
-          { token },
-          {
-            $set: {
-              token,
-              userId,
-              companyId,
-              role: role || "",
-              roleExperience: roleExperience || "0",
-              enabled: true,
-              lastSeen: new Date(),
-            }
-          },
-          { upsert: true }
-        );
+async function checkSSE() {
+  if (!SSE_URL) return { ok: true, configured: false };
 
-        console.log(`✅ Token registered for user: ${userId}`);
-      } catch (error) {
-        console.error("Token registration error:", error.message);
-      }
+  const lastEventAgeSeconds = await sseLastEventAge();
+  const stale = READY_MAX_SSE_EVENT_AGE > 0 &&
+    (lastEventAgeSeconds === null || lastEventAgeSeconds > READY_MAX_SSE_EVENT_AGE);
+  return { ok: sseConnected && !stale, configured: true, connected: sseConnected, lastEventAgeSeconds };
+}
+
+async function checkQueue() {
+  const stats = await withTimeout(jobQueue.queueStats(), CHECK_TIMEOUT, "Queue stats");
+  return { ok: stats.due <= READY_MAX_QUEUE_DEPTH, depth: stats.due, ...stats };
+}
+
+const queueJobs = metrics.gauge("catination_jobs", "Jobs by status (\"due\" = pending and runnable now)", ["status"]);
+const mongoUp = metrics.gauge("catination_mongo_up", "1 when the Mongo connection is open");
+const sseUp = metrics.gauge("catination_sse_connected", "1 while the SSE stream is connected");
+const sseEventAge = metrics.gauge("catination_sse_last_event_age_seconds", "Seconds since the last SSE event");
+
+// Gauges read at scrape time
+metrics.addCollector(async () => {
+  const stats = await jobQueue.queueStats();
+  Object.entries(stats).forEach(([status, count]) => queueJobs.set({ status }, count));
+  mongoUp.set({}, mongoose.connection.readyState === 1 ? 1 : 0);
+  sseUp.set({}, sseConnected ? 1 : 0);
+  const age = SSE_URL ? await sseLastEventAge() : null;
+  if (age !== null) sseEventAge.set({}, age);
+});
+
+// Liveness: the process is up and serving requests
+api.get("/health/live", (req, res) => {
+  res.json({ ok: true, uptimeSeconds: Math.round(process.uptime()) });
+});
+
+// Readiness: dependencies needed to take traffic
+api.get("/health/ready", async (req, res) => {
+  const settle = (check) => check().catch((error) => ({ ok: false, error: error.message }));
+  const [mongo, messagingState, sse, queue] = await Promise.all(
+    [checkMongo, checkMessaging, checkSSE, checkQueue].map(settle)
+  );
+  const checks = { mongo, messaging: messagingState, sse, queue };
+  const ok = Object.values(checks).every((check) => check.ok);
+
+  res.status(ok ? 200 : 503).json({ ok, timestamp: new Date().toISOString(), checks });
+});
+
+// Prometheus scrape, protected by METRICS_TOKEN (Bearer). Traffic and queue
+// figures aren't public: in production the route doesn't exist without it.
+api.get("/metrics", async (req, res) => {
+  const expected = process.env.METRICS_TOKEN;
+  if (!expected && process.env.NODE_ENV === "production") {
+    return res.status(404).json({ success: false, message: `No route for GET ${req.path}` });
+  }
+  if (expected && req.get("authorization") !== `Bearer ${expected}`) {
+    return res.status(401).json({ success: false, message: "Authentication required" });
+  }
+
+  try {
+    res.type("text/plain; version=0.0.4").send(await metrics.renderMetrics());
+  } catch (error) {
+    console.error("Metrics error:", error.message);
+    res.status(500).send("");
+  }
+});
+
+// Generated from the route specs, for typed clients
+api.get("/openapi.json", (req, res) => {
+  res.json(api.document());
+});
+
+// -------------------- API Routes --------------------
+// Every route except /health, /health/* and /metrics authenticates (API key or user token) and is
+// pinned to the caller's company via requireCompany -> req.companyId.
+//
+// Browser calls from an origin outside CORS_ORIGINS must come from one the
+// caller's own company allowed, so no company can open the API to a site
+// for everyone else.
+async function companyOrigin(req, res, next) {
+  try {
+    const origin = req.get("origin");
+    if (!origin || CORS_ORIGINS.includes(origin)) return next();
+
+    const settings = await getCompanySettings(req.companyId);
+    if ((settings.allowedOrigins || []).includes(origin)) return next();
+
+    return res.status(403).json({
+      success: false,
+      message: "Origin not allowed for this company"
+    });
+  } catch (error) {
+    console.error("Origin check error:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error"
+    });
+  }
+}
+
+const adminRoute = [authenticate, requireCompany, companyOrigin, requireAdmin];
+const memberRoute = [authenticate, requireCompany, companyOrigin];
+
+// Register FCM token
+api.post("/register-token", memberRoute, async (req, res) => {
+  try {
+    const { token, userId, role } = req.body || {};
+    // Team and experience decide which routing rules and topics reach the
+    // device, so users get the ones signed into their token
+    const { roleExperience, team } = req.auth.type === "user" ? req.auth : req.body || {};
+    const companyId = req.companyId;
+    const clientInfo = buildClientInfo(req.body?.clientInfo, req.get("user-agent"));
+    const locale = normalizeLocale(req.body?.locale) || localeFromHeader(req.get("accept-language"));
+
+    // Users register only themselves, and only claim ADMIN if their token says so
+    if (!isSelf(req, userId)) {
+      return res.status(403).json({ success: false, message: "Cannot register a token for another user" });
+    }
+    if (req.auth.type === "user" && role === "ADMIN" && req.auth.role !== "ADMIN") {
+      return res.status(403).json({ success: false, message: "Cannot register as ADMIN" });
+    }
+
+    // Stored before replying; the job worker does the upsert
+    await jobQueue.enqueue("REGISTER_TOKEN", {
+      token, userId, companyId, role, roleExperience, team, locale, clientInfo
     });
 
+    res.json({ success: true });
+
   } catch (error) {
     console.error("Register token error:", error.message);
     if (!res.headersSent) {
-      res.status(500).json({ error: "Internal server error" });
+      res.status(500).json({ success: false, message: "Internal server error" });
     }
   }
 });
 
 // 🆕 FIXED: Send Assignment Notification API
-app.post("/send-assignment-notification", async (req, res) => {
+api.post("/send-assignment-notification", adminRoute, async (req, res) => {
   try {
-    const { employeeEmail, leadData, companyId } = req.body;
+    const { employeeEmail, leadData } = req.body;
+    const companyId = req.companyId;
 
-    if (!employeeEmail || !companyId) {
-      return res.status(400).json({
-        success: false,
-        message: "Missing employeeEmail or companyId"
-      });
-    }
+    const job = await queueAssignment(employeeEmail, leadData, companyId);
 
-    // Respond immediately
     res.json({ 
       success: true, 
-      message: "Assignment notification queued" 
-    });
-
-    // Send notification in background
-    setImmediate(async () => {
-      try {
-        const result = await sendAssignmentNotification(employeeEmail, leadData, companyId);
-        if (!result) {
-          console.log(`⚠ Assignment notification failed for ${employeeEmail}, but assignment was successful`);
-        }
-      } catch (error) {
-        console.error("Background assignment notification error:", error);
-      }
+      message: "Assignment notification queued",
+      jobId: job._id
     });
 
   } catch (error) {
@@ -524,133 +2062,197 @@ app.post("/send-assignment-notification", async (req, res) => {
 });
 
 // Logout - disable token
-app.post("/logout-token", async (req, res) => {
+api.post("/logout-token", memberRoute, async (req, res) => {
   try {
     const { userId, token } = req.body || {};
+    const companyId = req.companyId;
 
+    if (!isSelf(req, userId)) {
+      return res.status(403).json({ success: false, message: "Cannot log out another user" });
+    }
+
+    // Users can only touch their own tokens
+    const owner = req.auth.type === "user" ? { userId: req.auth.userId } : {};
+
+    const disable = { enabled: false, disabledAt: new Date(), disabledReason: "logout" };
     if (token) {
-      await Token.updateOne({ token }, { enabled: false });
+      await Token.updateOne({ token, companyId, enabled: true, ...owner }, disable);
     }
     if (userId) {
-      await Token.updateMany({ userId }, { enabled: false });
+      await Token.updateMany({ userId, companyId, enabled: true }, disable);
+    }
+
+    // Disabled tokens leave all their topics
+    if (token || userId) {
+      const loggedOut = await Token.find({
+        companyId,
+        enabled: false,
+        "topics.0": { $exists: true },
+        $or: [token ? { token, ...owner } : null, userId ? { userId } : null].filter(Boolean),
+      }).lean();
+      await syncTokenTopics(loggedOut);
     }
 
     res.json({ success: true });
   } catch (error) {
     console.error("Logout error:", error.message);
-    res.status(500).json({ error: "Internal server error" });
+    res.status(500).json({ success: false, message: "Internal server error" });
   }
 });
 
-// Health check
-app.get("/health", (req, res) => {
-  res.json({ 
-    ok: true, 
-    timestamp: new Date().toISOString(),
-    sseConnected: sseRunning
-  });
-});
+// The lead webhook's authentication. It runs before the route's schema
+// validation, so callers without a valid signature learn nothing about the
+// payload format.
+async function verifyLeadSignature(req, res, next) {
+  try {
+    const payload = req.body;
+    const companyId = String(
+      req.get("x-catination-company") || payload?.companyId || payload?.tenantId || ""
+    );
 
-// 🆕 FIXED: DISTRIBUTE REMINDER NOTIFICATIONS (Updated for multiple tokens)
-app.post("/admin/distribute", async (req, res) => {
-  try {
-    const { employees, companyId } = req.body;
-
-    if (!employees || employees.length === 0) {
+    if (!payload || typeof payload !== "object" || Array.isArray(payload) || !companyId) {
+      return res.status(400).json({
+        success: false,
+        message: "Missing lead payload or companyId"
+      });
+    }
+    if ((payload.companyId || payload.tenantId) && String(payload.companyId || payload.tenantId) !== companyId) {
       return res.status(400).json({
         success: false,
-        message: "No employees provided",
+        message: "companyId does not match the signed company"
       });
     }
 
-    // Instant response
-    res.json({ success: true, message: "Reminder notifications queued" });
+    const signature = req.get("x-catination-signature");
+    const reason = verifySignature({
+      secret: await getWebhookSecret(companyId),
+      timestamp: req.get("x-catination-timestamp"),
+      signature,
+      rawBody: req.rawBody || "",
+    });
+    if (reason) {
+      console.log(`🚫 Rejected lead webhook for ${companyId}: ${reason}`);
+      return res.status(401).json({
+        success: false,
+        message: "Invalid signature"
+      });
+    }
 
-    // Background execution
-    setImmediate(async () => {
-      try {
-        for (const emp of employees) {
-          // Get ALL active tokens of employee (multiple devices)
-          const empTokens = await Token.find({
-            userId: emp,
-            companyId: companyId,
-            enabled: true,
-          }).lean();
-
-          if (!empTokens.length) {
-            console.log(`⚠ No tokens for: ${emp}`);
-            continue;
-          }
+    req.companyId = companyId;
+    next();
+  } catch (error) {
+    console.error("Lead webhook error:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error"
+    });
+  }
+}
 
-          const tokens = empTokens.map(t => t.token).filter(Boolean);
+// Signed lead webhook (website forms, ad platforms). Same pipeline as SSE.
+api.post("/events/lead", verifyLeadSignature, async (req, res) => {
+  try {
+    const payload = req.body;
+    const companyId = req.companyId;
+    const signature = req.get("x-catination-signature");
+
+    // A valid signature may only be used once
+    const fresh = await claimEvent({
+      companyId,
+      eventType: "WEBHOOK_SIGNATURE",
+      leadId: String(signature).replace(/^sha256=/, ""),
+      windowSeconds: TOLERANCE_SECONDS * 2,
+    });
+    if (!fresh) {
+      return res.status(409).json({
+        success: false,
+        message: "Replayed request"
+      });
+    }
 
-          // Reminder notification
-          const message = {
-            notification: {
-              title: "📥 New Lead Assigned",
-              body: "Open Catination to check your newly assigned lead.",
-            },
-            data: {
-              type: "LEAD_ASSIGN_REMINDER",
-              employeeEmail: emp,
-              timestamp: Date.now().toString()
-            },
-            android: { 
-              priority: "high",
-              notification: {
-                sound: "default",
-                channelId: "catination_reminders"
-              }
-            },
-            apns: { 
-              headers: { "apns-priority": "10" },
-              payload: {
-                aps: { 
-                  sound: "default",
-                  alert: {
-                    title: "📥 New Lead Assigned",
-                    body: "Open Catination to check your newly assigned lead."
-                  }
-                }
-              } 
-            },
-            webpush: {
-              headers: { Urgency: "high" },
-              notification: {
-                icon: "https://app.catination.com/catination-app-logo.png",
-                badge: "https://app.catination.com/catination-app-logo.png",
-                vibrate: [150, 80, 150],
-                requireInteraction: false
-              },
-            },
-          };
-
-          // Send to all devices
-          const result = await admin.messaging().sendEachForMulticast({
-            ...message,
-            tokens: tokens,
-          });
-
-          // Remove invalid tokens
-          if (result.responses) {
-            result.responses.forEach((response, index) => {
-              if (!response.success) {
-                const error = response.error;
-                if (error?.code === "messaging/invalid-registration-token" || 
-                    error?.code === "messaging/registration-token-not-registered") {
-                  Token.deleteOne({ token: tokens[index] }).catch(() => {});
-                }
-              }
-            });
-          }
+    const eventId = crypto.randomUUID();
+    await LeadEvent.create({
+      eventId,
+      companyId,
+      source: "webhook",
+      leadId: payload.leadId ? String(payload.leadId) : "",
+      payload: { ...payload, companyId },
+    });
+    await jobQueue.enqueue("LEAD_EVENT", { eventId, companyId });
 
-          console.log(`📨 Reminder sent to: ${emp} (${result.successCount}/${tokens.length} successful)`);
-        }
+    res.status(202).json({ success: true, eventId });
+  } catch (error) {
+    console.error("Lead webhook error:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error"
+    });
+  }
+});
 
-        console.log("🎉 Reminder notifications completed.");
-      } catch (err) {
-        console.error("❌ Reminder notification error:", err);
-      }
+// What happened to a webhook event, including the pushes it produced
+api.get("/events/:eventId", adminRoute, async (req, res) => {
+  try {
+    const event = await LeadEvent.findOne({
+      eventId: req.params.eventId,
+      companyId: req.companyId,
+    }).lean();
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: "Event not found"
+      });
+    }
+
+    const notifications = event.leadId
+      ? await NotificationLog.find({
+          companyId: event.companyId,
+          leadId: event.leadId,
+          sentAt: { $gte: event.createdAt },
+        }).sort({ sentAt: 1 }).limit(50).lean()
+      : [];
+
+    res.json({ success: true, event, notifications });
+  } catch (error) {
+    console.error("Lead event lookup error:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error"
+    });
+  }
+});
+
+// Health check
+// Kept for existing monitors; see /health/live and /health/ready
+api.get("/health", (req, res) => {
+  res.json({ 
+    ok: true, 
+    timestamp: new Date().toISOString(),
+    sseConnected
+  });
+});
+
+// 🆕 FIXED: DISTRIBUTE REMINDER NOTIFICATIONS (Updated for multiple tokens)
+api.post("/admin/distribute", adminRoute, async (req, res) => {
+  try {
+    const { employees } = req.body;
+    const companyId = req.companyId;
+
+    // One job per employee so each is retried on its own
+    const jobs = await Promise.all(
+      employees.map(emp =>
+        jobQueue.enqueue("LEAD_ASSIGN_REMINDER", { employeeEmail: emp, companyId })
+      )
+    );
+    employees.forEach(emp => {
+      stream.publish(companyId, "reminder", { type: "LEAD_ASSIGN_REMINDER", userId: emp }, [emp]);
+    });
+
+    res.json({
+      success: true,
+      message: "Reminder notifications queued",
+      queued: jobs.length
     });
 
   } catch (err) {
@@ -662,54 +2264,216 @@ app.post("/admin/distribute", async (req, res) => {
   }
 });
 
-// 🆕 NEW: Bulk Assignment Notifications API (For multiple leads)
-app.post("/send-bulk-assignment-notifications", async (req, res) => {
+// -------------------- Live Stream --------------------
+// EventSource can't set headers, so browsers pass their user token as
+// ?access_token=; API keys are never accepted in the URL
+function streamToken(req, res, next) {
+  if (!req.get("authorization") && req.query.access_token) {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+  next();
+}
+
+// Server-Sent Events: lead / assignment / reminder / reset events, ": ping"
+// heartbeats, Last-Event-ID replay (see lib/eventStream.js)
+api.get("/stream", streamToken, memberRoute, async (req, res) => {
+  try {
+    const admin = await isCompanyAdmin(req);
+    const subscribed = stream.subscribe(req, res, {
+      companyId: req.companyId,
+      userId: req.auth.userId,
+      admin,
+    });
+    if (!subscribed) {
+      return res.status(503).json({
+        success: false,
+        message: "Too many stream clients, retry later"
+      });
+    }
+  } catch (error) {
+    console.error("Stream error:", error.message);
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        message: "Internal server error"
+      });
+    }
+  }
+});
+
+// -------------------- Auto-assignment --------------------
+// Settings, rotation positions and open leads per candidate
+api.get("/auto-assign/state", adminRoute, async (req, res) => {
+  try {
+    const { autoAssign } = await getCompanySettings(req.companyId);
+    const state = await rotationState(req.companyId, autoAssign);
+    res.json({ success: true, settings: autoAssign, ...state });
+  } catch (error) {
+    console.error("Auto-assign state error:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error"
+    });
+  }
+});
+
+// Decisions, newest first; page with ?before=<createdAt of the last one>
+api.get("/auto-assign/history", adminRoute, async (req, res) => {
+  try {
+    const { leadId, assignee, status, limit } = req.query;
+    const before = req.query.before ? parseDate(req.query.before) : null;
+    if (req.query.before && !before) {
+      return res.status(400).json({ success: false, message: "Invalid before date" });
+    }
+
+    const assignments = await listAssignments(req.companyId, { leadId, assignee, status, before, limit });
+    res.json({ success: true, assignments });
+  } catch (error) {
+    console.error("Auto-assign history error:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error"
+    });
+  }
+});
+
+// -------------------- Broadcasts --------------------
+// Who a broadcast would reach, without sending anything
+api.post("/broadcasts/preview", adminRoute, async (req, res) => {
+  try {
+    const preview = await previewAudience(req.companyId, req.body?.audience);
+    res.json({ success: true, ...preview });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error("Broadcast preview error:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error"
+    });
+  }
+});
+
+// Sends now, or at sendAt when given
+api.post("/broadcasts", adminRoute, async (req, res) => {
   try {
-    const { assignments, companyId } = req.body;
+    const { title, body, link, audience } = req.body || {};
+    const sendAt = req.body?.sendAt === undefined ? new Date() : parseDate(req.body.sendAt);
 
-    if (!assignments || !Array.isArray(assignments) || !companyId) {
+    if (!title || !body || !sendAt) {
       return res.status(400).json({
         success: false,
-        message: "Missing assignments array or companyId"
+        message: "Missing title, body or a valid sendAt"
       });
     }
 
-    // Respond immediately
-    res.json({ 
-      success: true, 
-      message: "Bulk assignment notifications queued" 
+    const broadcast = await createBroadcast(
+      req.companyId,
+      { title, body, link, audience, sendAt },
+      req.auth.userId || ""
+    );
+    const preview = await previewAudience(req.companyId, broadcast.audience);
+
+    res.status(201).json({ success: true, broadcast, preview });
+  } catch (error) {
+    if (error.name === "ValidationError" || error.name === "CastError") {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error("Broadcast create error:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error"
     });
+  }
+});
 
-    // Process in background
-    setImmediate(async () => {
-      try {
-        let totalSent = 0;
-        let totalFailed = 0;
-
-        for (const assignment of assignments) {
-          const { employeeEmail, leadData } = assignment;
-          
-          if (!employeeEmail || !leadData) {
-            console.log("⚠ Skipping invalid assignment:", assignment);
-            continue;
-          }
+api.get("/broadcasts", adminRoute, async (req, res) => {
+  try {
+    const broadcasts = await listBroadcasts(req.companyId, {
+      status: req.query.status,
+      limit: req.query.limit,
+    });
+    res.json({ success: true, broadcasts });
+  } catch (error) {
+    console.error("Broadcast list error:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error"
+    });
+  }
+});
 
-          const result = await sendAssignmentNotification(employeeEmail, leadData, companyId);
-          
-          if (result) {
-            totalSent++;
-          } else {
-            totalFailed++;
-          }
+api.get("/broadcasts/:id", adminRoute, async (req, res) => {
+  try {
+    const broadcast = await Broadcast.findOne({ _id: req.params.id, companyId: req.companyId }).lean();
+    if (!broadcast) {
+      return res.status(404).json({ success: false, message: "Broadcast not found" });
+    }
 
-          // Small delay to avoid overwhelming FCM
-          await new Promise(resolve => setTimeout(resolve, 100));
-        }
+    res.json({ success: true, broadcast });
+  } catch (error) {
+    console.error("Broadcast lookup error:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error"
+    });
+  }
+});
 
-        console.log(`📊 Bulk assignment notifications completed: ${totalSent} sent, ${totalFailed} failed`);
-      } catch (error) {
-        console.error("Bulk assignment notification error:", error);
+// Cancels a scheduled broadcast that hasn't started sending
+api.delete("/broadcasts/:id", adminRoute, async (req, res) => {
+  try {
+    const broadcast = await cancelBroadcast(req.companyId, req.params.id);
+    if (!broadcast) {
+      return res.status(404).json({
+        success: false,
+        message: "No scheduled broadcast found"
+      });
+    }
+
+    res.json({ success: true, broadcast });
+  } catch (error) {
+    console.error("Broadcast cancel error:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error"
+    });
+  }
+});
+
+// 🆕 NEW: Bulk Assignment Notifications API (For multiple leads)
+api.post("/send-bulk-assignment-notifications", adminRoute, async (req, res) => {
+  try {
+    const { assignments } = req.body;
+    const companyId = req.companyId;
+
+    const valid = assignments.filter((assignment) => {
+      if (!assignment?.employeeEmail || !assignment?.leadData) {
+        console.log("⚠ Skipping invalid assignment:", assignment);
+        return false;
       }
+      return true;
+    });
+
+    // One job per assignment; the worker sends them one at a time
+    const jobs = await Promise.all(
+      valid.map(({ employeeEmail, leadData }) =>
+        queueAssignment(employeeEmail, leadData, companyId)
+      )
+    );
+
+    res.json({ 
+      success: true, 
+      message: "Bulk assignment notifications queued",
+      queued: jobs.length,
+      skipped: assignments.length - valid.length
     });
 
   } catch (error) {
@@ -721,6 +2485,1071 @@ app.post("/send-bulk-assignment-notifications", async (req, res) => {
   }
 });
 
+// Notification delivery log (support lookups)
+api.get("/notifications", adminRoute, async (req, res) => {
+  try {
+    const { userId, leadId, type, from, to, page, limit } = req.query;
+    const companyId = req.companyId;
+
+    if ((from && isNaN(Date.parse(from))) || (to && isNaN(Date.parse(to)))) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid from/to date"
+      });
+    }
+
+    const result = await queryNotifications({
+      companyId, userId, leadId, type, from, to, page, limit
+    });
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error("Notification log query error:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error"
+    });
+  }
+});
+
+// Client acknowledgement of a push (delivered / opened / accepted / dismissed)
+api.post("/notifications/:id/ack", memberRoute, async (req, res) => {
+  try {
+    const { status, token } = req.body || {};
+    const userId = req.auth.type === "user" ? req.auth.userId : req.body?.userId;
+
+    if (!ACK_STATUSES.includes(status) || !userId) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of ${ACK_STATUSES.join(", ")}, with a userId`
+      });
+    }
+
+    const ack = await recordAck({
+      companyId: req.companyId,
+      notificationId: req.params.id,
+      userId,
+      status,
+      token,
+    });
+    if (!ack) {
+      return res.status(404).json({
+        success: false,
+        message: "Notification not found"
+      });
+    }
+
+    // An acknowledging device is alive
+    if (token) {
+      await Token.updateOne(
+        { token: String(token), companyId: req.companyId, userId: String(userId) },
+        { $set: { lastSeen: new Date() } }
+      );
+    }
+
+    // Accepting an assigned lead stops its escalation
+    if (status === "accepted" && ack.type === "LEAD_ASSIGNED" && ack.leadId) {
+      await acceptEscalations(req.companyId, ack.leadId, userId);
+    }
+
+    // Opening the push from the tray reads its inbox item
+    if (status === "opened" || status === "accepted") {
+      await markRead(req.companyId, userId, { notificationId: req.params.id });
+    }
+
+    res.json({ success: true, ack });
+  } catch (error) {
+    console.error("Ack error:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error"
+    });
+  }
+});
+
+// Who picked up a lead, per employee
+api.get("/acks/leads/:leadId", adminRoute, async (req, res) => {
+  try {
+    const employees = await ackStatusForLead(req.companyId, req.params.leadId);
+    res.json({ success: true, leadId: req.params.leadId, employees });
+  } catch (error) {
+    console.error("Lead ack status error:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error"
+    });
+  }
+});
+
+// What one employee did with their notifications, per lead
+api.get("/acks/users/:userId", adminRoute, async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    if ((from && isNaN(Date.parse(from))) || (to && isNaN(Date.parse(to)))) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid from/to date"
+      });
+    }
+
+    const leads = await ackStatusForUser(req.companyId, req.params.userId, { from, to });
+    res.json({ success: true, userId: req.params.userId, leads });
+  } catch (error) {
+    console.error("User ack status error:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error"
+    });
+  }
+});
+
+// Escalations of unaccepted assignments, with every step taken
+api.get("/escalations", adminRoute, async (req, res) => {
+  try {
+    const { leadId, assignee, status, needsReassignment } = req.query;
+    const escalations = await listEscalations(req.companyId, {
+      leadId, assignee, status, needsReassignment
+    });
+    res.json({ success: true, escalations });
+  } catch (error) {
+    console.error("Escalation list error:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error"
+    });
+  }
+});
+
+// Company settings (device policy). Admin-only both ways: they hold the
+// outbound webhook URL, the escalation backup and the delivery rules.
+api.get("/companies/:companyId/settings", adminRoute, async (req, res) => {
+  try {
+    const settings = await getCompanySettings(req.companyId);
+    res.json({ success: true, settings });
+  } catch (error) {
+    console.error("Company settings error:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error"
+    });
+  }
+});
+
+api.put("/companies/:companyId/settings", adminRoute, async (req, res) => {
+  try {
+    if (req.body?.delivery !== undefined) {
+      const invalid = validateDeliveryRules(req.body.delivery, NotificationLog.schema.path("type").enumValues);
+      if (invalid) {
+        return res.status(400).json({
+          success: false,
+          message: invalid
+        });
+      }
+    }
+
+    const settings = await updateCompanySettings(req.companyId, req.body || {});
+    res.json({ success: true, settings });
+  } catch (error) {
+    if (error.name === "ValidationError" || error.name === "CastError") {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error("Company settings update error:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error"
+    });
+  }
+});
+
+// What each notification type looks like with the company's branding applied.
+// Change it with PUT /companies/:companyId/settings { branding, allowedOrigins }.
+api.get("/companies/:companyId/branding", adminRoute, async (req, res) => {
+  try {
+    const settings = await getCompanySettings(req.companyId);
+    const types = {};
+    Object.keys(TYPE_DEFAULTS).forEach((type) => { types[type] = resolveBranding(settings, type); });
+
+    res.json({
+      success: true,
+      branding: settings.branding,
+      allowedOrigins: settings.allowedOrigins,
+      effective: types,
+    });
+  } catch (error) {
+    console.error("Branding read error:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error"
+    });
+  }
+});
+
+// Webhook secret for POST /events/lead; only shown when rotated
+api.post("/companies/:companyId/webhook-secret", adminRoute, async (req, res) => {
+  try {
+    const secret = await rotateWebhookSecret(req.companyId);
+    res.status(201).json({ success: true, secret });
+  } catch (error) {
+    console.error("Webhook secret rotate error:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error"
+    });
+  }
+});
+
+// Secret that signs the outbound webhook channel; only shown when rotated
+api.post("/companies/:companyId/outbound-webhook-secret", adminRoute, async (req, res) => {
+  try {
+    const secret = await rotateWebhookSecret(req.companyId, "outbound");
+    res.status(201).json({ success: true, secret });
+  } catch (error) {
+    console.error("Outbound webhook secret rotate error:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error"
+    });
+  }
+});
+
+// Send a test message through one fallback channel, e.g. against a local
+// SMTP / SMS / webhook stand-in. `to` overrides the email / SMS address; the
+// webhook goes to the saved outboundWebhookUrl (`to` only outside production).
+api.post("/channels/:channel/test", adminRoute, async (req, res) => {
+  try {
+    const { channel } = req.params;
+    if (!CHANNELS.includes(channel) || channel === "push") {
+      return res.status(400).json({
+        success: false,
+        message: "channel must be email, sms or webhook"
+      });
+    }
+
+    const to = req.body?.to ? String(req.body.to) : "";
+    const settings = await getCompanySettings(req.companyId);
+    const webhookUrl = process.env.NODE_ENV !== "production" && to ? to : settings.outboundWebhookUrl;
+    const target = channel === "webhook"
+      ? { url: webhookUrl, secret: await getWebhookSecret(req.companyId, "outbound") }
+      : { to };
+
+    const result = await sendViaChannel(channel, {
+      id: "test",
+      type: "TEST",
+      companyId: req.companyId,
+      userId: req.auth.userId || "",
+      leadId: "",
+      title: "Catination test notification",
+      body: `Test message from the ${channel} channel`,
+      data: {},
+    }, target);
+
+    res.status(result.delivered ? 200 : 502).json({ success: result.delivered, result });
+  } catch (error) {
+    console.error("Channel test error:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error"
+    });
+  }
+});
+
+// Notification templates (per type + locale, {{variable}} placeholders)
+api.get("/templates", adminRoute, async (req, res) => {
+  try {
+    const templates = await listTemplates(req.companyId);
+    res.json({ success: true, defaults: DEFAULT_TEMPLATES, templates });
+  } catch (error) {
+    console.error("Template list error:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error"
+    });
+  }
+});
+
+api.put("/templates/:type/:locale", adminRoute, async (req, res) => {
+  try {
+    const { type } = req.params;
+    const locale = normalizeLocale(req.params.locale);
+    const { title, body } = req.body || {};
+
+    if (!TEMPLATE_TYPES.includes(type) || !locale) {
+      return res.status(400).json({
+        success: false,
+        message: "Unknown template type or invalid locale"
+      });
+    }
+    if (!title || !body) {
+      return res.status(400).json({
+        success: false,
+        message: "Missing title or body"
+      });
+    }
+
+    const template = await saveTemplate(req.companyId, type, locale, { title, body });
+    res.json({ success: true, template });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error("Template save error:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error"
+    });
+  }
+});
+
+api.delete("/templates/:type/:locale", adminRoute, async (req, res) => {
+  try {
+    const deleted = await deleteTemplate(req.companyId, req.params.type, req.params.locale);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: "Template not found"
+      });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error("Template delete error:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error"
+    });
+  }
+});
+
+// Render a template against sample variables. Pass title/body to preview a
+// draft; otherwise the template that would be used for that locale is shown.
+api.post("/templates/preview", adminRoute, async (req, res) => {
+  try {
+    const { type, locale, title, body } = req.body || {};
+    const variables = req.body?.variables || {};
+
+    if (!TEMPLATE_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: "Unknown template type"
+      });
+    }
+
+    const preview = title || body
+      ? {
+          title: renderString(title || "", variables),
+          body: renderString(body || "", variables),
+          locale: normalizeLocale(locale),
+          source: "draft",
+        }
+      : await renderNotification(type, req.companyId, locale, variables);
+
+    res.json({ success: true, preview });
+  } catch (error) {
+    console.error("Template preview error:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error"
+    });
+  }
+});
+
+// Lead routing rules
+const RULE_FIELDS = ["name", "enabled", "priority", "conditions", "recipients", "stop"];
+
+function pickRuleFields(body = {}) {
+  const fields = {};
+  RULE_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  return fields;
+}
+
+api.get("/routing-rules", adminRoute, async (req, res) => {
+  try {
+    const rules = await RoutingRule.find({ companyId: req.companyId })
+      .sort({ priority: 1, createdAt: 1 })
+      .lean();
+    res.json({ success: true, rules, usingDefault: rules.length === 0 });
+  } catch (error) {
+    console.error("Routing rule list error:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error"
+    });
+  }
+});
+
+api.post("/routing-rules", adminRoute, async (req, res) => {
+  try {
+    const rule = await RoutingRule.create({
+      ...pickRuleFields(req.body),
+      companyId: req.companyId,
+    });
+    res.status(201).json({ success: true, rule });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error("Routing rule create error:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error"
+    });
+  }
+});
+
+api.put("/routing-rules/:id", adminRoute, async (req, res) => {
+  try {
+    const rule = await RoutingRule.findOneAndUpdate(
+      { _id: req.params.id, companyId: req.companyId },
+      { $set: pickRuleFields(req.body) },
+      { runValidators: true, returnDocument: "after" }
+    ).lean();
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: "Rule not found"
+      });
+    }
+
+    res.json({ success: true, rule });
+  } catch (error) {
+    if (error.name === "ValidationError" || error.name === "CastError") {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error("Routing rule update error:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error"
+    });
+  }
+});
+
+api.delete("/routing-rules/:id", adminRoute, async (req, res) => {
+  try {
+    const result = await RoutingRule.deleteOne({ _id: req.params.id, companyId: req.companyId });
+    if (!result.deletedCount) {
+      return res.status(404).json({
+        success: false,
+        message: "Rule not found"
+      });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error("Routing rule delete error:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error"
+    });
+  }
+});
+
+// Evaluate rules against a sample lead without sending anything. Pass
+// `rules` to try out a draft rule set instead of the stored one.
+api.post("/routing-rules/dry-run", adminRoute, async (req, res) => {
+  try {
+    const lead = req.body?.lead;
+    if (!lead || typeof lead !== "object") {
+      return res.status(400).json({
+        success: false,
+        message: "Missing lead payload"
+      });
+    }
+
+    let rules;
+    if (Array.isArray(req.body.rules)) {
+      // Validate drafts the same way stored rules are
+      rules = req.body.rules.map(rule => new RoutingRule({
+        ...pickRuleFields(rule),
+        companyId: req.companyId,
+      }));
+      await Promise.all(rules.map(rule => rule.validate()));
+      rules = rules.map(rule => rule.toObject());
+    } else {
+      rules = await loadRules(req.companyId);
+    }
+
+    const tokens = await Token.find({ companyId: req.companyId, enabled: true }).lean();
+    const evaluation = evaluateRules(rules, lead, tokens);
+
+    res.json({
+      success: true,
+      matchedRules: evaluation.matchedRules,
+      recipients: summarizeRecipients(evaluation),
+      deviceCount: evaluation.targets.length,
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error("Routing dry-run error:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error"
+    });
+  }
+});
+
+// Notification preferences. Users manage their own; API keys and admins
+// can pass ?userId= (or body.userId) for someone else in the company.
+async function resolvePreferenceUser(req, res) {
+  const requested = req.query.userId || req.body?.userId;
+
+  if (req.auth.type === "user") {
+    if (requested && String(requested) !== req.auth.userId && !(await isCompanyAdmin(req))) {
+      res.status(403).json({
+        success: false,
+        message: "Admin role required"
+      });
+      return null;
+    }
+    return String(requested || req.auth.userId);
+  }
+
+  if (!requested) {
+    res.status(400).json({
+      success: false,
+      message: "Missing userId"
+    });
+    return null;
+  }
+  return String(requested);
+}
+
+// -------------------- Inbox --------------------
+// Users read their own inbox; admins and API keys pass ?userId
+api.get("/inbox", memberRoute, async (req, res) => {
+  try {
+    const userId = await resolvePreferenceUser(req, res);
+    if (!userId) return;
+
+    const before = req.query.before ? parseDate(req.query.before) : null;
+    if (req.query.before && !before) {
+      return res.status(400).json({ success: false, message: "Invalid before date" });
+    }
+
+    const [page, unread] = await Promise.all([
+      listInbox(req.companyId, userId, {
+        before,
+        limit: req.query.limit,
+        unreadOnly: req.query.unread === "true",
+      }),
+      unreadCount(req.companyId, userId),
+    ]);
+    res.json({ success: true, ...page, unread });
+  } catch (error) {
+    console.error("Inbox list error:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error"
+    });
+  }
+});
+
+api.get("/inbox/unread-count", memberRoute, async (req, res) => {
+  try {
+    const userId = await resolvePreferenceUser(req, res);
+    if (!userId) return;
+
+    res.json({ success: true, unread: await unreadCount(req.companyId, userId) });
+  } catch (error) {
+    console.error("Inbox count error:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error"
+    });
+  }
+});
+
+api.post("/inbox/read-all", memberRoute, async (req, res) => {
+  try {
+    const userId = await resolvePreferenceUser(req, res);
+    if (!userId) return;
+
+    const marked = await markRead(req.companyId, userId);
+    res.json({ success: true, marked, unread: 0 });
+  } catch (error) {
+    console.error("Inbox read-all error:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error"
+    });
+  }
+});
+
+api.post("/inbox/:id/read", memberRoute, async (req, res) => {
+  try {
+    const userId = await resolvePreferenceUser(req, res);
+    if (!userId) return;
+
+    const marked = await markRead(req.companyId, userId, { _id: req.params.id });
+    res.json({ success: true, marked, unread: await unreadCount(req.companyId, userId) });
+  } catch (error) {
+    console.error("Inbox read error:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error"
+    });
+  }
+});
+
+api.get("/preferences", memberRoute, async (req, res) => {
+  try {
+    const userId = await resolvePreferenceUser(req, res);
+    if (!userId) return;
+
+    const preferences = await getPreferences(req.companyId, userId);
+    res.json({ success: true, preferences });
+  } catch (error) {
+    console.error("Preferences read error:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error"
+    });
+  }
+});
+
+api.put("/preferences", memberRoute, async (req, res) => {
+  try {
+    const userId = await resolvePreferenceUser(req, res);
+    if (!userId) return;
+
+    const preferences = await updatePreferences(req.companyId, userId, req.body || {});
+    res.json({ success: true, preferences });
+  } catch (error) {
+    if (error.name === "ValidationError" || error.name === "CastError") {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error("Preferences update error:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error"
+    });
+  }
+});
+
+// Scheduled follow-up notifications. Users may schedule for themselves;
+// targeting others, roles or teams needs an admin or an API key.
+function parseDate(value) {
+  const date = new Date(value);
+  if (!value || isNaN(date.getTime())) return null;
+  return date;
+}
+
+async function canManageSchedule(req, schedule) {
+  if (req.auth.type !== "user") return true;
+  if (schedule && schedule.createdBy === req.auth.userId) return true;
+  return isCompanyAdmin(req);
+}
+
+api.post("/scheduled-notifications", memberRoute, async (req, res) => {
+  try {
+    const { leadId, title, body, data, repeat, stopWhenContacted } = req.body || {};
+    const sendAt = parseDate(req.body?.sendAt);
+    const target = {
+      userIds: [].concat(req.body?.userIds || (req.auth.type === "user" ? req.auth.userId : [])).map(String),
+      roles: [].concat(req.body?.roles || []).map(String),
+      teams: [].concat(req.body?.teams || []).map(String),
+    };
+
+    if (!title || !body || !sendAt) {
+      return res.status(400).json({
+        success: false,
+        message: "Missing title, body or a valid sendAt"
+      });
+    }
+    if (!target.userIds.length && !target.roles.length && !target.teams.length) {
+      return res.status(400).json({
+        success: false,
+        message: "No recipients: pass userIds, roles or teams"
+      });
+    }
+
+    const onlySelf = target.userIds.every(id => String(id) === req.auth.userId)
+      && !target.roles.length && !target.teams.length;
+    if (req.auth.type === "user" && !onlySelf && !(await isCompanyAdmin(req))) {
+      return res.status(403).json({
+        success: false,
+        message: "Admin role required to schedule for others"
+      });
+    }
+
+    const schedule = await createSchedule(
+      req.companyId,
+      { leadId, title, body, data, target, sendAt, repeat, stopWhenContacted },
+      req.auth.userId || ""
+    );
+
+    res.status(201).json({ success: true, schedule });
+  } catch (error) {
+    if (error.name === "ValidationError" || error.name === "CastError") {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error("Schedule create error:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error"
+    });
+  }
+});
+
+api.get("/scheduled-notifications", memberRoute, async (req, res) => {
+  try {
+    const { leadId, status } = req.query;
+    // Non-admin users only see their own
+    const userId = req.auth.type === "user" && !(await isCompanyAdmin(req))
+      ? req.auth.userId
+      : req.query.userId;
+
+    const schedules = await listSchedules(req.companyId, { leadId, status, userId });
+    res.json({ success: true, schedules });
+  } catch (error) {
+    console.error("Schedule list error:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error"
+    });
+  }
+});
+
+// Reschedule one schedule, or every active schedule of a lead
+async function rescheduleHandler(req, res, query) {
+  try {
+    const sendAt = parseDate(req.body?.sendAt);
+    if (!sendAt) {
+      return res.status(400).json({
+        success: false,
+        message: "Missing or invalid sendAt"
+      });
+    }
+
+    const existing = await ScheduledNotification.find({ ...query, companyId: req.companyId }).lean();
+    for (const schedule of existing) {
+      if (!(await canManageSchedule(req, schedule))) {
+        return res.status(403).json({
+          success: false,
+          message: "Not allowed to change this schedule"
+        });
+      }
+    }
+
+    const schedules = await reschedule(req.companyId, query, { sendAt, repeat: req.body?.repeat });
+    if (!schedules.length) {
+      return res.status(404).json({
+        success: false,
+        message: "No active schedule found"
+      });
+    }
+
+    res.json({ success: true, schedules });
+  } catch (error) {
+    if (error.name === "ValidationError" || error.name === "CastError") {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error("Reschedule error:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error"
+    });
+  }
+}
+
+async function cancelHandler(req, res, query) {
+  try {
+    const existing = await ScheduledNotification.find({ ...query, companyId: req.companyId }).lean();
+    for (const schedule of existing) {
+      if (!(await canManageSchedule(req, schedule))) {
+        return res.status(403).json({
+          success: false,
+          message: "Not allowed to cancel this schedule"
+        });
+      }
+    }
+
+    const cancelled = await cancelSchedules(req.companyId, query, req.body?.reason || "cancelled");
+    if (!cancelled) {
+      return res.status(404).json({
+        success: false,
+        message: "No active schedule found"
+      });
+    }
+
+    res.json({ success: true, cancelled });
+  } catch (error) {
+    console.error("Schedule cancel error:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error"
+    });
+  }
+}
+
+api.put("/scheduled-notifications/:id", memberRoute, (req, res) =>
+  rescheduleHandler(req, res, { _id: req.params.id })
+);
+
+api.delete("/scheduled-notifications/:id", memberRoute, (req, res) =>
+  cancelHandler(req, res, { _id: req.params.id })
+);
+
+api.post("/scheduled-notifications/lead/:leadId/reschedule", memberRoute, (req, res) =>
+  rescheduleHandler(req, res, { leadId: String(req.params.leadId) })
+);
+
+api.post("/scheduled-notifications/lead/:leadId/cancel", memberRoute, (req, res) =>
+  cancelHandler(req, res, { leadId: String(req.params.leadId) })
+);
+
+// Devices of one user, with what the app reported and when it was last seen
+api.get("/users/:userId/devices", adminRoute, async (req, res) => {
+  try {
+    const devices = await listDevices(req.companyId, req.params.userId);
+    res.json({ success: true, devices });
+  } catch (error) {
+    console.error("Device list error:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error"
+    });
+  }
+});
+
+async function findDevice(req, res) {
+  const device = await Token.findOne({
+    _id: req.params.deviceId,
+    companyId: req.companyId,
+    userId: String(req.params.userId),
+  }).lean();
+  if (!device) {
+    res.status(404).json({
+      success: false,
+      message: "Device not found"
+    });
+    return null;
+  }
+  return device;
+}
+
+// Revoke one device: it leaves its topics and stops receiving pushes
+api.delete("/users/:userId/devices/:deviceId", adminRoute, async (req, res) => {
+  try {
+    const device = await findDevice(req, res);
+    if (!device) return;
+
+    await retireTokens([device], "revoked");
+    metrics.tokensPruned.inc({ reason: "revoked" });
+    console.log(`🔒 Revoked device ${device._id} of user: ${device.userId}`);
+
+    res.json({ success: true, device: publicDevice({ ...device, enabled: false }) });
+  } catch (error) {
+    console.error("Device revoke error:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error"
+    });
+  }
+});
+
+// Real push to one device, to check it end to end
+api.post("/users/:userId/devices/:deviceId/test", adminRoute, async (req, res) => {
+  try {
+    const device = await findDevice(req, res);
+    if (!device) return;
+
+    const title = String(req.body?.title || "Test notification");
+    const body = String(req.body?.body || "If you can read this, push works on this device");
+
+    try {
+      const messageId = await messaging.send({
+        token: device.token,
+        notification: { title, body },
+        data: { type: "TEST" },
+        android: { priority: "high", notification: { sound: "default" } },
+        apns: { payload: { aps: { sound: "default" } } },
+      });
+      res.json({ success: true, messageId });
+    } catch (error) {
+      res.status(502).json({
+        success: false,
+        message: "FCM rejected the test push",
+        errorCode: error.code || ""
+      });
+    }
+  } catch (error) {
+    console.error("Device test push error:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error"
+    });
+  }
+});
+
+// What the fake provider "sent" (MESSAGING_MODE=fake only; operators only,
+// since messages aren't scoped to a company)
+api.get("/messaging/outbox", authenticate, (req, res) => {
+  if (req.auth.type !== "master") {
+    return res.status(403).json({ success: false, message: "Master API key required" });
+  }
+  if (!messaging.outbox) {
+    return res.status(404).json({ success: false, message: "Only available in fake messaging mode" });
+  }
+
+  const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+  res.json({ success: true, messages: messaging.outbox(limit) });
+});
+
+// Re-sync this company's FCM topic subscriptions now instead of waiting
+// for the periodic reconciliation
+api.post("/topics/reconcile", adminRoute, async (req, res) => {
+  try {
+    const job = await jobQueue.enqueue("TOPIC_RECONCILE", { companyId: req.companyId });
+    res.status(202).json({ success: true, jobId: job._id });
+  } catch (error) {
+    console.error("Topic reconcile error:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error"
+    });
+  }
+});
+
+// Job queue inspection (dead letters etc.)
+api.get("/jobs", adminRoute, async (req, res) => {
+  try {
+    const { status, type, limit } = req.query;
+    const jobs = await jobQueue.listJobs({ companyId: req.companyId, status, type, limit });
+    res.json({ success: true, jobs });
+  } catch (error) {
+    console.error("Job list error:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error"
+    });
+  }
+});
+
+// Re-queue a dead-lettered job
+api.post("/jobs/:id/retry", adminRoute, async (req, res) => {
+  try {
+    const job = await jobQueue.retryJob(req.params.id, req.companyId);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: "Dead job not found"
+      });
+    }
+
+    res.json({ success: true, job });
+  } catch (error) {
+    console.error("Job retry error:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error"
+    });
+  }
+});
+
+// API keys (server-to-server). The raw key is only shown on create/rotate.
+api.get("/companies/:companyId/api-keys", adminRoute, async (req, res) => {
+  try {
+    const keys = await listApiKeys(req.companyId);
+    res.json({ success: true, keys });
+  } catch (error) {
+    console.error("API key list error:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error"
+    });
+  }
+});
+
+api.post("/companies/:companyId/api-keys", adminRoute, async (req, res) => {
+  try {
+    const created = await createApiKey(req.companyId, req.body?.label);
+    res.status(201).json({ success: true, ...created });
+  } catch (error) {
+    console.error("API key create error:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error"
+    });
+  }
+});
+
+api.post("/companies/:companyId/api-keys/:keyId/rotate", adminRoute, async (req, res) => {
+  try {
+    const graceMinutes = Number(req.body?.graceMinutes);
+    const created = await rotateApiKey(
+      req.companyId,
+      req.params.keyId,
+      Number.isFinite(graceMinutes) ? graceMinutes * 60 * 1000 : undefined
+    );
+    if (!created) {
+      return res.status(404).json({
+        success: false,
+        message: "API key not found"
+      });
+    }
+
+    res.status(201).json({ success: true, ...created });
+  } catch (error) {
+    console.error("API key rotate error:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error"
+    });
+  }
+});
+
+api.delete("/companies/:companyId/api-keys/:keyId", adminRoute, async (req, res) => {
+  try {
+    const revoked = await revokeApiKey(req.companyId, req.params.keyId);
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: "API key not found"
+      });
+    }
+
+    res.json({ success: true, apiKey: revoked });
+  } catch (error) {
+    console.error("API key revoke error:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error"
+    });
+  }
+});
+
+// Unknown routes, malformed JSON and anything a route didn't handle
+app.use(notFound);
+app.use(errorHandler);
+
 // -------------------- Start Server --------------------
 app.listen(PORT, () => {
   console.log(`✅ Server running on port ${PORT}`);
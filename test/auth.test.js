@@ -0,0 +1,175 @@
+// test/auth.test.js
+// User tokens (HS256 / RS256) and API keys (lib/auth.js). ApiKey lookups are
+// answered from an in-memory list, matched on the same filter Mongo gets.
+const { test, describe, before, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+
+const SECRET = "hs256-test-secret";
+const { publicKey, privateKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+process.env.APP_JWT_SECRET = SECRET;
+process.env.APP_JWT_PUBLIC_KEY = publicKey.export({ type: "spki", format: "pem" });
+process.env.APP_JWT_ISSUER = "https://app.catination.com";
+process.env.APP_JWT_AUDIENCE = "push-server";
+process.env.MASTER_API_KEY = "master-key";
+
+const ApiKey = require("../models/ApiKey");
+const { authenticate, verifyUserToken } = require("../lib/auth");
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString("base64url");
+const now = () => Math.floor(Date.now() / 1000);
+
+function claims(overrides = {}) {
+  return {
+    sub: "agent@example.com",
+    companyId: "C1",
+    role: "EMPLOYEE",
+    iss: "https://app.catination.com",
+    aud: "push-server",
+    exp: now() + 600,
+    ...overrides,
+  };
+}
+
+function jwt(payload, { alg = "HS256", key = SECRET } = {}) {
+  const input = `${encode({ alg, typ: "JWT" })}.${encode(payload)}`;
+  let signature = "";
+  if (alg === "HS256") signature = crypto.createHmac("sha256", key).update(input).digest("base64url");
+  if (alg === "RS256") signature = crypto.sign("RSA-SHA256", Buffer.from(input), key).toString("base64url");
+  return `${input}.${signature}`;
+}
+
+describe("verifyUserToken", () => {
+  test("accepts a valid HS256 token", () => {
+    assert.equal(verifyUserToken(jwt(claims())).companyId, "C1");
+  });
+
+  test("accepts a valid RS256 token", () => {
+    assert.equal(verifyUserToken(jwt(claims(), { alg: "RS256", key: privateKey })).sub, "agent@example.com");
+  });
+
+  test("rejects expired tokens and tokens without exp", () => {
+    assert.equal(verifyUserToken(jwt(claims({ exp: now() - 1 }))), null);
+    assert.equal(verifyUserToken(jwt(claims({ exp: undefined }))), null);
+  });
+
+  test("rejects tokens not valid yet", () => {
+    assert.equal(verifyUserToken(jwt(claims({ nbf: now() + 600 }))), null);
+  });
+
+  test("rejects alg none and unsupported algorithms", () => {
+    assert.equal(verifyUserToken(jwt(claims(), { alg: "none" })), null);
+    assert.equal(verifyUserToken(jwt(claims(), { alg: "HS512" })), null);
+  });
+
+  test("rejects an HS256 token signed with the RSA public key", () => {
+    const token = jwt(claims(), { key: process.env.APP_JWT_PUBLIC_KEY });
+    assert.equal(verifyUserToken(token), null);
+  });
+
+  test("rejects a token whose claims were changed after signing", () => {
+    const [header, , signature] = jwt(claims()).split(".");
+    assert.equal(verifyUserToken(`${header}.${encode(claims({ companyId: "C2" }))}.${signature}`), null);
+  });
+
+  test("checks issuer and audience", () => {
+    assert.equal(verifyUserToken(jwt(claims({ iss: "https://evil.example" }))), null);
+    assert.equal(verifyUserToken(jwt(claims({ aud: "other-service" }))), null);
+    assert.equal(verifyUserToken(jwt(claims({ aud: undefined }))), null);
+    assert.ok(verifyUserToken(jwt(claims({ aud: ["other-service", "push-server"] }))));
+  });
+
+  test("rejects malformed tokens", () => {
+    ["", "abc", "a.b", "a.b.c", `${encode({ alg: "HS256" })}.not-json.sig`].forEach((token) => {
+      assert.equal(verifyUserToken(token), null);
+    });
+  });
+});
+
+describe("authenticate", () => {
+  const RAW_KEY = "cat_live_key";
+  const REVOKED_KEY = "cat_revoked_key";
+  const EXPIRED_KEY = "cat_expired_key";
+  const hash = (key) => crypto.createHash("sha256").update(key).digest("hex");
+  let keys;
+  let filters;
+
+  before(() => {
+    keys = [
+      { _id: "k1", companyId: "C1", keyHash: hash(RAW_KEY), revokedAt: null, expiresAt: null },
+      { _id: "k2", companyId: "C1", keyHash: hash(REVOKED_KEY), revokedAt: new Date(), expiresAt: null },
+      { _id: "k3", companyId: "C1", keyHash: hash(EXPIRED_KEY), revokedAt: null, expiresAt: new Date(Date.now() - 1000) },
+    ];
+  });
+
+  beforeEach(() => {
+    filters = [];
+    mock.method(ApiKey, "findOne", (filter) => {
+      filters.push(filter);
+      const doc = keys.find((key) => key.keyHash === filter.keyHash && key.revokedAt === filter.revokedAt);
+      return { lean: async () => doc || null };
+    });
+    mock.method(ApiKey, "updateOne", async () => ({ modifiedCount: 1 }));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  async function call(headers) {
+    const req = { get: (name) => headers[name.toLowerCase()] };
+    const res = {
+      statusCode: 200,
+      status(code) { this.statusCode = code; return this; },
+      json(body) { this.body = body; return this; },
+    };
+    let nextCalled = false;
+    await authenticate(req, res, () => { nextCalled = true; });
+    return { req, res, nextCalled };
+  }
+
+  test("looks API keys up by hash and scopes the caller to the key's company", async () => {
+    const { req, nextCalled } = await call({ "x-api-key": RAW_KEY });
+
+    assert.equal(nextCalled, true);
+    assert.deepEqual(req.auth, { type: "apiKey", companyId: "C1", userId: null, keyId: "k1" });
+    assert.equal(filters[0].keyHash, hash(RAW_KEY));
+    assert.ok(!JSON.stringify(filters).includes(RAW_KEY));
+  });
+
+  test("rejects unknown, revoked and expired API keys", async () => {
+    for (const key of ["cat_unknown", REVOKED_KEY, EXPIRED_KEY]) {
+      const { res, nextCalled } = await call({ "x-api-key": key });
+      assert.equal(nextCalled, false);
+      assert.equal(res.statusCode, 401);
+      assert.equal(res.body.message, "Invalid API key");
+    }
+  });
+
+  test("accepts the master key without a lookup", async () => {
+    const { req } = await call({ "x-api-key": "master-key" });
+    assert.equal(req.auth.type, "master");
+    assert.equal(filters.length, 0);
+  });
+
+  test("takes a user's company, role and team from the token", async () => {
+    const token = jwt(claims({ team: "north", roleExperience: 1 }));
+    const { req } = await call({ authorization: `Bearer ${token}` });
+
+    assert.deepEqual(req.auth, {
+      type: "user",
+      companyId: "C1",
+      userId: "agent@example.com",
+      role: "EMPLOYEE",
+      team: "north",
+      roleExperience: "1",
+    });
+  });
+
+  test("rejects a bearer token that doesn't verify, and no credentials at all", async () => {
+    const expired = await call({ authorization: `Bearer ${jwt(claims({ exp: now() - 1 }))}` });
+    const anonymous = await call({});
+
+    assert.equal(expired.res.statusCode, 401);
+    assert.equal(expired.res.body.message, "Invalid user token");
+    assert.equal(anonymous.res.statusCode, 401);
+  });
+});
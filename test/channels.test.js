@@ -0,0 +1,264 @@
+// test/channels.test.js
+// Email, SMS and webhook delivery (lib/channels.js) against local stand-ins
+const { test, describe, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const net = require("net");
+
+process.env.CHANNEL_TIMEOUT_MS = "2000";
+const { sendViaChannel } = require("../lib/channels");
+const { verifySignature } = require("../lib/webhookSignature");
+
+const notification = {
+  id: "n1",
+  type: "FOLLOW_UP",
+  companyId: "C1",
+  userId: "agent@example.com",
+  leadId: "L1",
+  title: "Call back Asha",
+  body: "She asked for a call at 5pm",
+  data: { deepLink: "https://app.catination.com/leads/L1" },
+};
+
+function listen(server) {
+  return new Promise((resolve) => server.listen(0, "127.0.0.1", () => resolve(server.address().port)));
+}
+
+// Scripted SMTP server. `offerStartTls: false` leaves STARTTLS out of the
+// EHLO reply and refuses the command; `rejectRcpt` answers RCPT with 550.
+function smtpStandIn({ offerStartTls = false, rejectRcpt = false } = {}) {
+  const session = { commands: [], messages: [] };
+  const server = net.createServer((socket) => {
+    let buffer = "";
+    let message = null;
+    socket.write("220 stand-in ESMTP\r\n");
+
+    socket.on("data", (chunk) => {
+      buffer += chunk.toString("utf8");
+      let index;
+      while ((index = buffer.indexOf("\r\n")) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+
+        if (message !== null) {
+          if (line === ".") {
+            session.messages.push(message.join("\r\n"));
+            message = null;
+            socket.write("250 2.0.0 queued as STANDIN1\r\n");
+          } else {
+            message.push(line);
+          }
+          continue;
+        }
+
+        const verb = line.split(" ")[0].toUpperCase();
+        session.commands.push(line);
+        if (verb === "EHLO") {
+          socket.write(`250-stand-in\r\n${offerStartTls ? "250-STARTTLS\r\n" : ""}250 AUTH PLAIN LOGIN\r\n`);
+        } else if (verb === "STARTTLS") {
+          socket.write("502 5.5.1 STARTTLS not available\r\n");
+        } else if (verb === "RCPT" && rejectRcpt) {
+          socket.write("550 5.1.1 no such user\r\n");
+        } else if (verb === "DATA") {
+          message = [];
+          socket.write("354 go ahead\r\n");
+        } else if (verb === "QUIT") {
+          socket.end("221 bye\r\n");
+        } else if (verb === "AUTH") {
+          socket.write("235 2.7.0 authenticated\r\n");
+        } else {
+          socket.write("250 ok\r\n");
+        }
+      }
+    });
+    socket.on("error", () => {});
+  });
+  return { server, session };
+}
+
+describe("email channel", () => {
+  let standIn;
+
+  beforeEach(() => {
+    delete process.env.SMTP_USER;
+    delete process.env.SMTP_PASS;
+    process.env.SMTP_FROM = "Catination <no-reply@catination.com>";
+  });
+
+  after(() => {
+    ["SMTP_HOST", "SMTP_PORT", "SMTP_USER", "SMTP_PASS", "SMTP_FROM"].forEach((key) => delete process.env[key]);
+  });
+
+  async function start(options) {
+    standIn = smtpStandIn(options);
+    process.env.SMTP_HOST = "127.0.0.1";
+    process.env.SMTP_PORT = String(await listen(standIn.server));
+  }
+
+  test("is not-configured without SMTP_HOST", async () => {
+    delete process.env.SMTP_HOST;
+    const result = await sendViaChannel("email", notification, { to: "agent@example.com" });
+    assert.equal(result.errorCode, "email/not-configured");
+  });
+
+  test("delivers one message over the SMTP dialogue", async () => {
+    await start();
+    try {
+      const result = await sendViaChannel("email", notification, { to: "agent@example.com" });
+
+      assert.equal(result.delivered, true);
+      assert.equal(result.address, "agent@example.com");
+      const verbs = standIn.session.commands.map((line) => line.split(/[ :]/)[0].toUpperCase());
+      assert.deepEqual(verbs.filter((verb) => verb !== "QUIT"), ["EHLO", "MAIL", "RCPT", "DATA"]);
+      assert.match(standIn.session.commands[1], /<no-reply@catination\.com>/);
+      assert.match(standIn.session.commands[2], /<agent@example\.com>/);
+      assert.match(standIn.session.messages[0], /Subject: Call back Asha/);
+    } finally {
+      standIn.server.close();
+    }
+  });
+
+  test("never sends credentials when STARTTLS is not available", async () => {
+    await start({ offerStartTls: false });
+    process.env.SMTP_USER = "mailer";
+    process.env.SMTP_PASS = "secret";
+    try {
+      const result = await sendViaChannel("email", notification, { to: "agent@example.com" });
+
+      assert.equal(result.delivered, false);
+      assert.ok(result.errorCode.startsWith("smtp/"));
+      assert.ok(standIn.session.commands.some((line) => /^STARTTLS/i.test(line)));
+      assert.ok(!standIn.session.commands.some((line) => /^AUTH/i.test(line)));
+      assert.equal(standIn.session.messages.length, 0);
+    } finally {
+      standIn.server.close();
+    }
+  });
+
+  test("reports the SMTP reply code of a rejected recipient", async () => {
+    await start({ rejectRcpt: true });
+    try {
+      const result = await sendViaChannel("email", notification, { to: "nobody@example.com" });
+      assert.equal(result.delivered, false);
+      assert.equal(result.errorCode, "smtp/550");
+    } finally {
+      standIn.server.close();
+    }
+  });
+});
+
+describe("sms channel", () => {
+  let server;
+  let requests;
+  let status;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (chunk) => { body += chunk; });
+      req.on("end", () => {
+        requests.push({ headers: req.headers, body: JSON.parse(body) });
+        res.writeHead(status, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({ id: "sms-42" }));
+      });
+    });
+    const port = await listen(server);
+    process.env.SMS_PROVIDER_URL = `http://127.0.0.1:${port}/messages`;
+    process.env.SMS_PROVIDER_TOKEN = "sms-token";
+    process.env.SMS_FROM = "CATNTN";
+  });
+
+  beforeEach(() => {
+    requests = [];
+    status = 200;
+  });
+
+  after(() => {
+    server.close();
+    ["SMS_PROVIDER_URL", "SMS_PROVIDER_TOKEN", "SMS_FROM"].forEach((key) => delete process.env[key]);
+  });
+
+  test("posts the message to the provider", async () => {
+    const result = await sendViaChannel("sms", notification, { to: "+919800000000" });
+
+    assert.deepEqual(result, { delivered: true, address: "+919800000000", messageId: "sms-42", errorCode: "" });
+    assert.equal(requests[0].headers.authorization, "Bearer sms-token");
+    assert.equal(requests[0].body.to, "+919800000000");
+    assert.equal(requests[0].body.from, "CATNTN");
+    assert.match(requests[0].body.text, /^Call back Asha\nShe asked for a call at 5pm/);
+  });
+
+  test("fails on a provider error status", async () => {
+    status = 503;
+    const result = await sendViaChannel("sms", notification, { to: "+919800000000" });
+    assert.equal(result.delivered, false);
+    assert.equal(result.errorCode, "sms/http-503");
+  });
+});
+
+describe("webhook channel", () => {
+  const secret = "whsec_test";
+  let server;
+  let url;
+  let requests;
+  let respond;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      let rawBody = "";
+      req.on("data", (chunk) => { rawBody += chunk; });
+      req.on("end", () => {
+        requests.push({ headers: req.headers, rawBody });
+        respond(res);
+      });
+    });
+    url = `http://127.0.0.1:${await listen(server)}/hook`;
+  });
+
+  beforeEach(() => {
+    requests = [];
+    respond = (res) => res.writeHead(204).end();
+    process.env.WEBHOOK_ALLOW_PRIVATE = "true";
+  });
+
+  after(() => {
+    server.close();
+    delete process.env.WEBHOOK_ALLOW_PRIVATE;
+  });
+
+  test("delivers a signed payload", async () => {
+    const result = await sendViaChannel("webhook", notification, { url, secret });
+
+    assert.equal(result.delivered, true);
+    const [{ headers, rawBody }] = requests;
+    assert.equal(headers["x-catination-event"], "FOLLOW_UP");
+    const reason = verifySignature({
+      secret,
+      timestamp: headers["x-catination-timestamp"],
+      signature: headers["x-catination-signature"],
+      rawBody,
+    });
+    assert.equal(reason, null);
+    assert.equal(JSON.parse(rawBody).leadId, "L1");
+  });
+
+  test("does not follow redirects", async () => {
+    respond = (res) => res.writeHead(302, { Location: "http://169.254.169.254/" }).end();
+    const result = await sendViaChannel("webhook", notification, { url, secret });
+
+    assert.equal(result.delivered, false);
+    assert.equal(result.errorCode, "webhook/http-302");
+    assert.equal(requests.length, 1);
+  });
+
+  test("refuses private addresses and plain http outside local development", async () => {
+    delete process.env.WEBHOOK_ALLOW_PRIVATE;
+
+    const local = await sendViaChannel("webhook", notification, { url: url.replace("http:", "https:"), secret });
+    const insecure = await sendViaChannel("webhook", notification, { url, secret });
+
+    assert.equal(local.errorCode, "webhook/blocked-address");
+    assert.equal(insecure.errorCode, "webhook/https-required");
+    assert.equal(requests.length, 0);
+  });
+});
@@ -0,0 +1,86 @@
+// test/dedupe.test.js
+// Event claims (lib/dedupe.js). EventClaim answers from an in-memory store
+// that behaves like the unique index on `key`: an upsert that doesn't match
+// an expired claim collides with the live one (E11000).
+const { test, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+
+const EventClaim = require("../models/EventClaim");
+const { claimEvent, releaseEvent } = require("../lib/dedupe");
+
+let claims;
+
+beforeEach(() => {
+  claims = new Map();
+
+  mock.method(EventClaim, "findOneAndUpdate", async (filter, update) => {
+    const existing = claims.get(filter.key);
+    if (existing && existing.expiresAt > filter.expiresAt.$lte) {
+      throw Object.assign(new Error("E11000 duplicate key error"), { code: 11000 });
+    }
+    claims.set(filter.key, { key: filter.key, ...update.$set });
+    return existing || null;
+  });
+  mock.method(EventClaim, "deleteOne", async (filter) => {
+    const existing = claims.get(filter.key);
+    if (!existing || existing.claimedBy !== filter.claimedBy) return { deletedCount: 0 };
+    claims.delete(filter.key);
+    return { deletedCount: 1 };
+  });
+});
+
+afterEach(() => mock.restoreAll());
+
+const lead = { companyId: "C1", eventType: "NEW_LEAD", leadId: "L1", windowSeconds: 60 };
+
+test("the first claim wins and a duplicate loses", async () => {
+  assert.equal(await claimEvent(lead), true);
+  assert.equal(await claimEvent(lead), false);
+  assert.equal(claims.size, 1);
+});
+
+test("claims are per company, event type and lead", async () => {
+  assert.equal(await claimEvent(lead), true);
+  assert.equal(await claimEvent({ ...lead, companyId: "C2" }), true);
+  assert.equal(await claimEvent({ ...lead, eventType: "WEBHOOK_SIGNATURE" }), true);
+  assert.equal(await claimEvent({ ...lead, leadId: "L2" }), true);
+});
+
+test("stores the claim window as its expiry", async () => {
+  const before = Date.now();
+  await claimEvent(lead);
+
+  const [claim] = claims.values();
+  assert.equal(claim.leadId, "L1");
+  assert.ok(claim.expiresAt.getTime() >= before + 60 * 1000);
+  assert.ok(claim.expiresAt.getTime() <= Date.now() + 60 * 1000);
+});
+
+test("an expired claim can be taken over", async () => {
+  await claimEvent(lead);
+  claims.get("C1:NEW_LEAD:L1").expiresAt = new Date(Date.now() - 1000);
+
+  assert.equal(await claimEvent(lead), true);
+  assert.ok(claims.get("C1:NEW_LEAD:L1").expiresAt > new Date());
+});
+
+test("a released claim can be claimed again", async () => {
+  await claimEvent(lead);
+  await releaseEvent(lead);
+  assert.equal(await claimEvent(lead), true);
+});
+
+test("only the instance holding a claim can release it", async () => {
+  await claimEvent(lead);
+  claims.get("C1:NEW_LEAD:L1").claimedBy = "other-host:1";
+
+  await releaseEvent(lead);
+  assert.equal(await claimEvent(lead), false);
+});
+
+test("other database errors are not mistaken for duplicates", async () => {
+  EventClaim.findOneAndUpdate.mock.mockImplementation(async () => {
+    throw new Error("connection reset");
+  });
+  await assert.rejects(claimEvent(lead), /connection reset/);
+});
@@ -0,0 +1,79 @@
+// test/sseParser.test.js
+// text/event-stream parsing (lib/sseParser.js)
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createSSEParser } = require("../lib/sseParser");
+
+function parse(chunks, options = {}) {
+  const events = [];
+  const retries = [];
+  const parser = createSSEParser({
+    ...options,
+    onEvent: (event) => events.push(event),
+    onRetry: (ms) => retries.push(ms),
+  });
+  [].concat(chunks).forEach((chunk) => parser.feed(chunk));
+  return { events, retries, parser };
+}
+
+test("dispatches an event on a blank line, typed message by default", () => {
+  const { events } = parse('data: {"leadId":"L1"}\n\n');
+  assert.deepEqual(events, [{ type: "message", data: '{"leadId":"L1"}', id: "" }]);
+});
+
+test("joins multi-line data with newlines", () => {
+  const { events } = parse("event: lead\ndata: first\ndata: second\ndata\n\n");
+  assert.equal(events[0].type, "lead");
+  assert.equal(events[0].data, "first\nsecond\n");
+});
+
+test("strips one leading space from values, not more", () => {
+  const { events } = parse("data:no-space\n\ndata:  two-spaces\n\n");
+  assert.deepEqual(events.map((event) => event.data), ["no-space", " two-spaces"]);
+});
+
+test("ignores comments, unknown fields and blocks without data", () => {
+  const { events } = parse(": heartbeat\n\nfoo: bar\nevent: lead\n\n:ping\ndata: x\n\n");
+  assert.equal(events.length, 1);
+  assert.deepEqual(events[0], { type: "message", data: "x", id: "" });
+});
+
+test("accepts CRLF, CR and LF line endings", () => {
+  const expected = ["a", "b", "c"];
+  const { events } = parse("data: a\r\n\r\ndata: b\r\rdata: c\n\n");
+  assert.deepEqual(events.map((event) => event.data), expected);
+});
+
+test("handles a CRLF split across chunks as one line ending", () => {
+  const { events } = parse(["data: a\r", "\n\r", "\ndata: b\r\n", "\r\n"]);
+  assert.deepEqual(events.map((event) => event.data), ["a", "b"]);
+});
+
+test("buffers partial lines until they are complete", () => {
+  const { events } = parse(["da", "ta: hel", "lo\n", "\n"]);
+  assert.deepEqual(events.map((event) => event.data), ["hello"]);
+});
+
+test("carries the last id onto later events and exposes it", () => {
+  const { events, parser } = parse("id: 7\ndata: a\n\ndata: b\n\nid: 8\ndata: c\n\n");
+  assert.deepEqual(events.map((event) => event.id), ["7", "7", "8"]);
+  assert.equal(parser.lastEventId, "8");
+});
+
+test("starts from the resumed id and ignores ids containing NUL", () => {
+  const { events, parser } = parse("id: bad\0id\ndata: a\n\n", { lastEventId: "41" });
+  assert.equal(events[0].id, "41");
+  assert.equal(parser.lastEventId, "41");
+});
+
+test("reports numeric retry values only", () => {
+  const { retries, events } = parse("retry: 5000\nretry: soon\nretry: 1.5\n\n");
+  assert.deepEqual(retries, [5000]);
+  assert.equal(events.length, 0);
+});
+
+test("resets the event type after each dispatch", () => {
+  const { events } = parse("event: leadassigned\ndata: a\n\ndata: b\n\n");
+  assert.deepEqual(events.map((event) => event.type), ["leadassigned", "message"]);
+});
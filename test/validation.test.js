@@ -0,0 +1,133 @@
+// test/validation.test.js
+// Request validation and the error format (lib/validation.js)
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { validateRequest, validate, errorFormat, notFound, errorHandler } = require("../lib/validation");
+
+function response() {
+  return {
+    statusCode: 200,
+    headersSent: false,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+    end() { return this; },
+  };
+}
+
+const spec = {
+  params: { type: "object", properties: { id: { type: "string", pattern: "^[a-f0-9]{24}$" } }, required: ["id"] },
+  query: { type: "object", properties: { limit: { type: "integer", minimum: 1, maximum: 100 }, all: { type: "boolean" } } },
+  body: {
+    type: "object",
+    properties: {
+      title: { type: "string", minLength: 1, maxLength: 10 },
+      sendAt: { type: "string", format: "date-time" },
+      channel: { type: "string", enum: ["push", "email"] },
+      userIds: { type: "array", items: { type: "string" }, maxItems: 2 },
+      note: { type: "string" },
+    },
+    required: ["title"],
+  },
+};
+
+describe("validateRequest", () => {
+  const request = (overrides = {}) => ({
+    params: { id: "0123456789abcdef01234567" },
+    query: {},
+    body: { title: "Hello" },
+    ...overrides,
+  });
+
+  test("passes a valid request", () => {
+    assert.deepEqual(validateRequest(spec, request()), []);
+  });
+
+  test("reports every problem with its field and code", () => {
+    const details = validateRequest(spec, request({
+      params: { id: "nope" },
+      body: { title: "Far too long", sendAt: "someday", channel: "fax", userIds: ["a", 2] },
+    }));
+
+    assert.deepEqual(details.map(({ field, code }) => ({ field, code })), [
+      { field: "params.id", code: "pattern" },
+      { field: "body.title", code: "max_length" },
+      { field: "body.sendAt", code: "format" },
+      { field: "body.channel", code: "enum" },
+      { field: "body.userIds[1]", code: "type" },
+    ]);
+    details.forEach((detail) => assert.equal(typeof detail.message, "string"));
+  });
+
+  test("requires required fields and stops at oversized arrays", () => {
+    const details = validateRequest(spec, request({ body: { userIds: [1, 2, 3] } }));
+    assert.deepEqual(details.map(({ field, code }) => ({ field, code })), [
+      { field: "body.title", code: "required" },
+      { field: "body.userIds", code: "max_items" },
+    ]);
+  });
+
+  test("coerces query strings but not bodies", () => {
+    assert.deepEqual(validateRequest(spec, request({ query: { limit: "20", all: "true" } })), []);
+    assert.equal(validateRequest(spec, request({ query: { limit: "0" } }))[0].code, "minimum");
+    assert.equal(validateRequest(spec, request({ query: { limit: "many" } }))[0].code, "type");
+    assert.equal(validateRequest(spec, request({ body: { title: 5 } }))[0].code, "type");
+  });
+
+  test("treats null optional fields as unset and allows unlisted fields", () => {
+    assert.deepEqual(validateRequest(spec, request({ body: { title: "Hi", note: null, extra: 1 } })), []);
+  });
+});
+
+describe("error format", () => {
+  test("validate answers 400 validation_failed with the details", () => {
+    const res = response();
+    let nextCalled = false;
+    validate(spec)({ params: { id: "nope" }, query: {}, body: {} }, res, () => { nextCalled = true; });
+
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.success, false);
+    assert.equal(res.body.code, "validation_failed");
+    assert.equal(res.body.message, "Invalid request: params.id has an invalid format");
+    assert.deepEqual(res.body.details[0], { field: "params.id", code: "pattern", message: "has an invalid format" });
+  });
+
+  test("validate passes a valid request on", () => {
+    let nextCalled = false;
+    validate(spec)({ params: { id: "0123456789abcdef01234567" }, query: {}, body: { title: "Hi" } }, response(), () => {
+      nextCalled = true;
+    });
+    assert.equal(nextCalled, true);
+  });
+
+  test("errorFormat adds a code from the status to handler errors", () => {
+    const res = response();
+    errorFormat({}, res, () => {});
+
+    res.status(403).json({ success: false, message: "Admin role required" });
+    assert.deepEqual(res.body, { success: false, code: "forbidden", message: "Admin role required" });
+
+    res.status(409).json({ success: false, code: "replayed", message: "Replayed request" });
+    assert.equal(res.body.code, "replayed");
+
+    res.status(200).json({ success: true });
+    assert.deepEqual(res.body, { success: true });
+  });
+
+  test("notFound and errorHandler use the same shape", () => {
+    const missing = response();
+    notFound({ method: "GET", path: "/nope" }, missing);
+    assert.deepEqual(missing.body, { success: false, code: "not_found", message: "No route for GET /nope" });
+
+    const badJson = response();
+    errorHandler({ type: "entity.parse.failed" }, {}, badJson, () => {});
+    assert.equal(badJson.statusCode, 400);
+    assert.equal(badJson.body.code, "invalid_json");
+
+    const tooLarge = response();
+    errorHandler({ type: "entity.too.large" }, {}, tooLarge, () => {});
+    assert.equal(tooLarge.statusCode, 413);
+    assert.equal(tooLarge.body.code, "payload_too_large");
+  });
+});
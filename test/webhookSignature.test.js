@@ -0,0 +1,71 @@
+// test/webhookSignature.test.js
+// Inbound webhook signatures (lib/webhookSignature.js)
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { TOLERANCE_SECONDS, generateSecret, sign, verifySignature } = require("../lib/webhookSignature");
+
+const secret = "whsec_test";
+const rawBody = JSON.stringify({ companyId: "C1", leadId: "L1", leadName: "Asha" });
+const now = Date.now();
+const timestamp = String(Math.floor(now / 1000));
+
+function signed(overrides = {}) {
+  return {
+    secret,
+    timestamp,
+    signature: `sha256=${sign(secret, timestamp, rawBody)}`,
+    rawBody,
+    now,
+    ...overrides,
+  };
+}
+
+test("accepts a fresh signature over the exact body", () => {
+  assert.equal(verifySignature(signed()), null);
+  assert.equal(verifySignature(signed({ signature: sign(secret, timestamp, rawBody) })), null);
+});
+
+test("accepts timestamps within the tolerance either way", () => {
+  const edge = String(Number(timestamp) - TOLERANCE_SECONDS);
+  assert.equal(verifySignature(signed({ timestamp: edge, signature: sign(secret, edge, rawBody) })), null);
+});
+
+test("rejects a stale or future timestamp", () => {
+  const stale = String(Number(timestamp) - TOLERANCE_SECONDS - 1);
+  const future = String(Number(timestamp) + TOLERANCE_SECONDS + 1);
+
+  assert.equal(verifySignature(signed({ timestamp: stale, signature: sign(secret, stale, rawBody) })), "stale-timestamp");
+  assert.equal(verifySignature(signed({ timestamp: future, signature: sign(secret, future, rawBody) })), "stale-timestamp");
+});
+
+test("rejects a tampered body", () => {
+  const tampered = rawBody.replace("Asha", "Ravi");
+  assert.equal(verifySignature(signed({ rawBody: tampered })), "bad-signature");
+  assert.equal(verifySignature(signed({ rawBody: `${rawBody} ` })), "bad-signature");
+});
+
+test("rejects a signature made with another secret or timestamp", () => {
+  assert.equal(verifySignature(signed({ secret: generateSecret() })), "bad-signature");
+  const earlier = String(Number(timestamp) - 1);
+  assert.equal(verifySignature(signed({ timestamp: earlier })), "bad-signature");
+});
+
+test("rejects malformed headers", () => {
+  assert.equal(verifySignature(signed({ signature: "" })), "missing-signature");
+  assert.equal(verifySignature(signed({ timestamp: undefined })), "missing-signature");
+  assert.equal(verifySignature(signed({ timestamp: "yesterday" })), "bad-timestamp");
+  assert.equal(verifySignature(signed({ timestamp: `${timestamp}.5` })), "bad-timestamp");
+  assert.equal(verifySignature(signed({ signature: "sha256=not-hex" })), "bad-signature");
+  assert.equal(verifySignature(signed({ signature: "sha256=abcd" })), "bad-signature");
+});
+
+test("fails closed without a secret", () => {
+  assert.equal(verifySignature(signed({ secret: "" })), "no-secret");
+});
+
+test("generates distinct secrets", () => {
+  const a = generateSecret();
+  assert.match(a, /^whsec_[0-9a-f]{64}$/);
+  assert.notEqual(a, generateSecret());
+});